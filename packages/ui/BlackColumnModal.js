@@ -1,24 +1,11 @@
 'use client';
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { AGGREGATE_LABELS } from './gridUtils';
+import { createRestColumnStore, serializeColumnConfig, parseColumnConfig } from './columnStore';
+import { downloadBlob } from './gridExport';
 import styles from './BlackColumnModal.module.css';
 
-// 기본 API 클라이언트 (fetch 기반)
-const defaultApi = {
-  get: async (url) => {
-    const res = await fetch(url);
-    return res.json();
-  },
-  post: async (url, data) => {
-    const res = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(data)
-    });
-    return res.json();
-  }
-};
-
 // 타입 옵션
 const TYPE_OPTIONS = [
   { value: 'string', label: '문자열' },
@@ -30,6 +17,19 @@ const TYPE_OPTIONS = [
   { value: 'singleSelect', label: '선택' },
 ];
 
+// 집계 옵션 (그룹 행 / 요약 행)
+const AGGREGATE_OPTIONS = [
+  { value: '', label: '없음' },
+  ...Object.entries(AGGREGATE_LABELS).map(([value, label]) => ({ value, label })),
+];
+
+// 컬럼 고정 옵션 (가로 스크롤 시 왼쪽/오른쪽 고정)
+const PIN_OPTIONS = [
+  { value: '', label: '없음' },
+  { value: 'left', label: '왼쪽' },
+  { value: 'right', label: '오른쪽' },
+];
+
 // 기본 컬럼 템플릿
 const DEFAULT_COLUMN_TEMPLATES = {
   id: { field: 'id', headerName: 'ID', type: 'number', width: 60, editable: false },
@@ -43,6 +43,74 @@ const DEFAULT_COLUMN_TEMPLATES = {
 // 보호된 컬럼 (삭제 불가)
 const PROTECTED_COLUMNS = ['id', 'created_at', 'updated_at'];
 
+// 이력 비교 대상 기본설정 항목
+const SETTING_LABELS = {
+  pageTitle: '제목',
+  showRowNumber: '행번호 표시',
+  showCheckbox: '체크박스 표시',
+  sortModel: '기본 정렬',
+  formWidth: '폼폭',
+};
+
+// 변경 종류 표시
+const CHANGE_KINDS = {
+  added: { label: '추가', className: 'diffAdded' },
+  removed: { label: '삭제', className: 'diffRemoved' },
+  changed: { label: '변경', className: 'diffChanged' },
+};
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// 비교 값 표시용 텍스트
+const formatDiffValue = (value) => {
+  if (value === undefined || value === null || value === '') return '(없음)';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// field 기준 컬럼 목록 비교 (추가/삭제, 속성 변경, 순서 변경)
+const diffColumnList = (section, before, after) => {
+  const beforeList = before || [];
+  const afterList = after || [];
+  const beforeMap = new Map(beforeList.map(col => [col.field, col]));
+  const afterMap = new Map(afterList.map(col => [col.field, col]));
+  const changes = [];
+
+  beforeList.forEach(col => {
+    if (!afterMap.has(col.field)) {
+      changes.push({ section, item: col.field, kind: 'removed', before: col.headerName || col.field });
+    }
+  });
+  afterList.forEach(col => {
+    const prev = beforeMap.get(col.field);
+    if (!prev) {
+      changes.push({ section, item: col.field, kind: 'added', after: col.headerName || col.field });
+      return;
+    }
+    new Set([...Object.keys(prev), ...Object.keys(col)]).forEach(key => {
+      if (key !== 'field' && !isSameValue(prev[key], col[key])) {
+        changes.push({ section, item: `${col.field}.${key}`, kind: 'changed', before: prev[key], after: col[key] });
+      }
+    });
+  });
+
+  // 양쪽에 모두 있는 컬럼의 순서
+  const beforeOrder = beforeList.filter(col => afterMap.has(col.field)).map(col => col.field);
+  const afterOrder = afterList.filter(col => beforeMap.has(col.field)).map(col => col.field);
+  if (!isSameValue(beforeOrder, afterOrder)) {
+    changes.push({ section, item: '순서', kind: 'changed', before: beforeOrder.join(', '), after: afterOrder.join(', ') });
+  }
+  return changes;
+};
+
+// 컬럼 설정 비교 → [{ section, item, kind, before, after }]
+const diffColumnConfig = (before, after) => [
+  ...diffColumnList('컬럼', before?.columns, after?.columns),
+  ...diffColumnList('입력폼', before?.formColumns, after?.formColumns),
+  ...Object.entries(SETTING_LABELS)
+    .filter(([key]) => !isSameValue(before?.[key], after?.[key]))
+    .map(([key, label]) => ({ section: '기본설정', item: label, kind: 'changed', before: before?.[key], after: after?.[key] })),
+];
+
 /**
  * 컬럼 정의 대화창 (MUI DataGrid 호환 포맷)
  * @param {boolean} isOpen - 모달 열림 여부
@@ -52,8 +120,15 @@ const PROTECTED_COLUMNS = ['id', 'created_at', 'updated_at'];
  * @param {function} onLoad - 초기 로드 완료 콜백 (loadedColumns) => void (마운트 시 호출)
  * @param {function} onSave - 저장 완료 콜백 (updatedColumns) => void (선택)
  * @param {string} tableName - 실제 DB 테이블명 (필수 - DB 컬럼 관리에 사용)
- * @param {array} data - 테이블 데이터 배열 (엑셀 내보내기용)
- * @param {function} onDataImport - 데이터 가져오기 핸들러 (importedData) => Promise
+ * @param {array} currentSortModel - 그리드의 현재 정렬 모델 (기본 정렬로 저장할 때 사용)
+ * @param {object} columnStore - 컬럼 설정 저장소 (없으면 api로 REST 저장소 생성, columnStore.js 참고)
+ * @param {object} api - REST 저장소용 API 클라이언트 { get, post, delete } (columnStore가 없을 때 사용)
+ * @param {string} userName - 저장한 사람 (버전 이력에 기록)
+ *
+ * 저장할 때마다 버전이 생성되며 (변경 메모 포함), 이력 탭에서 버전별 변경 내용 비교와 되돌리기 가능
+ * (columnStore에 listVersions / loadVersion이 있을 때)
+ * 내보내기/가져오기 탭: 설정 전체를 JSON 문서로 내보내고, 검증 + 변경 미리보기 후 가져오기,
+ * 현재 설정을 다른 pageName에 저장 (개발 → 운영 레이아웃 이전)
  */
 // 폼 타입 옵션
 const FORM_TYPE_OPTIONS = [
@@ -64,7 +139,9 @@ const FORM_TYPE_OPTIONS = [
   { value: 'textarea', label: '텍스트영역' },
 ];
 
-const BlackColumnModal = ({ isOpen, onClose, pageName, defaultColumns = [], onLoad, onSave, tableName, formColumns: initialFormColumns, onFormColumnsSave, api = defaultApi }) => {
+const BlackColumnModal = ({ isOpen, onClose, pageName, defaultColumns = [], onLoad, onSave, tableName, formColumns: initialFormColumns, onFormColumnsSave, currentSortModel = [], columnStore, api, userName }) => {
+  const store = useMemo(() => columnStore || createRestColumnStore(api), [columnStore, api]);
+
   const [isLoaded, setIsLoaded] = useState(false);
   const [localColumns, setLocalColumns] = useState([]);
   const [draggedIndex, setDraggedIndex] = useState(null);
@@ -72,23 +149,39 @@ const BlackColumnModal = ({ isOpen, onClose, pageName, defaultColumns = [], onLo
   const [isCheckingDb, setIsCheckingDb] = useState(false);
 
   // 탭 상태
-  const [activeTab, setActiveTab] = useState('settings'); // 'settings' | 'columns' | 'form'
+  const [activeTab, setActiveTab] = useState('settings'); // 'settings' | 'columns' | 'form' | 'history' | 'transfer'
 
   // 기본 설정 상태
   const [pageTitle, setPageTitle] = useState('');
   const [showRowNumber, setShowRowNumber] = useState(false);
   const [showCheckbox, setShowCheckbox] = useState(false);
+  const [sortModel, setSortModel] = useState([]);
 
   // 폼 컬럼 상태
   const [formColumns, setFormColumns] = useState([]);
   const [formWidth, setFormWidth] = useState(500);
 
+  // 버전 이력 상태
+  const [saveNote, setSaveNote] = useState('');
+  const [versions, setVersions] = useState([]);
+  const [isLoadingVersions, setIsLoadingVersions] = useState(false);
+  const [selectedVersion, setSelectedVersion] = useState(null); // { version, config, previousConfig }
+  const [compareTarget, setCompareTarget] = useState('previous'); // 'previous' | 'current'
+  const canViewHistory = !!(pageName && store.listVersions && store.loadVersion);
+
+  // 설정 가져오기 상태
+  const [importText, setImportText] = useState('');
+  const [importResult, setImportResult] = useState(null); // { document, errors }
+  const [copyTargetPageName, setCopyTargetPageName] = useState('');
+
   // 컬럼 배열을 내부 포맷으로 변환
   const mapColumnsToLocal = (columns) => {
     return columns.map((col, index) => {
       const field = col.field || col.accessor;
       const headerName = col.headerName || col.header || col.label || field;
+      // 모달에서 편집하지 않는 속성(valueOptions, flex 등)도 유지
       return {
+        ...col,
         id: index,
         field,
         headerName,
@@ -96,25 +189,33 @@ const BlackColumnModal = ({ isOpen, onClose, pageName, defaultColumns = [], onLo
         editable: col.editable || false,
         sortable: col.sortable !== false,
         filterable: col.filterable || false,
+        filterVisible: col.filterVisible || false,
         searchable: col.searchable || false,
         width: col.width || 100,
+        minWidth: col.minWidth,
+        maxWidth: col.maxWidth,
+        lockPosition: col.lockPosition,
+        pinned: col.pinned,
+        aggregate: col.aggregate,
         type: col.type || 'string',
       };
     });
   };
 
-  // col-def API에서 컬럼 설정 로드
+  // 저장소에서 컬럼 설정 로드
   const fetchColumnConfig = async () => {
     if (!pageName || !tableName) return null;
     try {
-      const result = await api.get(`/api/col-def?page_name=${pageName}&table_name=${tableName}`);
+      const result = await store.load(pageName, tableName);
+      if (!result) return null;
       return {
         columns: result.columns || null,
-        formColumns: result.form_columns || null,
-        formWidth: result.form_width || 500,
-        pageTitle: result.page_title || '',
-        showRowNumber: result.show_row_number || false,
-        showCheckbox: result.show_checkbox || false
+        formColumns: result.formColumns || null,
+        formWidth: result.formWidth || 500,
+        pageTitle: result.pageTitle || '',
+        showRowNumber: result.showRowNumber || false,
+        showCheckbox: result.showCheckbox || false,
+        sortModel: result.sortModel || []
       };
     } catch (e) {
       console.error('컬럼 설정 로드 실패:', e);
@@ -135,6 +236,7 @@ const BlackColumnModal = ({ isOpen, onClose, pageName, defaultColumns = [], onLo
       let loadedPageTitle = '';
       let loadedShowRowNumber = false;
       let loadedShowCheckbox = false;
+      let loadedSortModel = [];
 
       if (pageName && tableName) {
         const apiResult = await fetchColumnConfig();
@@ -156,6 +258,9 @@ const BlackColumnModal = ({ isOpen, onClose, pageName, defaultColumns = [], onLo
         if (apiResult?.showCheckbox) {
           loadedShowCheckbox = apiResult.showCheckbox;
         }
+        if (apiResult?.sortModel) {
+          loadedSortModel = apiResult.sortModel;
+        }
       }
 
       if (!isMounted) return;
@@ -186,6 +291,9 @@ const BlackColumnModal = ({ isOpen, onClose, pageName, defaultColumns = [], onLo
 
         // 체크박스 표시 설정
         setShowCheckbox(loadedShowCheckbox);
+
+        // 기본 정렬 설정
+        setSortModel(loadedSortModel);
       }
     };
 
@@ -238,11 +346,7 @@ const BlackColumnModal = ({ isOpen, onClose, pageName, defaultColumns = [], onLo
 
     setIsCheckingDb(true);
     try {
-      const response = await api.post('/api/col-def', {
-        check_columns: columnNames,
-        table_name: tableName
-      });
-      setDbColumnStatus(response.columns || {});
+      setDbColumnStatus(await store.checkDbColumns(tableName, columnNames));
     } catch (e) {
       console.error('DB 컬럼 확인 실패:', e);
     } finally {
@@ -253,25 +357,20 @@ const BlackColumnModal = ({ isOpen, onClose, pageName, defaultColumns = [], onLo
   // DB 컬럼 삭제
   const deleteDbColumn = async (columnName) => {
     if (!tableName) throw new Error('테이블명이 없습니다.');
-    const response = await api.delete(`/api/col-def?table_name=${tableName}&column_name=${columnName}`);
-    if (!response.success) throw new Error(response.message);
-    return response;
+    return await store.deleteDbColumn(tableName, columnName);
   };
 
   // DB 컬럼 추가
   const addDbColumns = async (columnsToAdd) => {
     if (!tableName) throw new Error('테이블명이 없습니다.');
-    return await api.post('/api/col-def', {
-      add_columns: columnsToAdd,
-      table_name: tableName
-    });
+    return await store.addDbColumns(tableName, columnsToAdd);
   };
 
   // 셀 값 변경
   const handleCellChange = (rowIndex, field, value) => {
     setLocalColumns(prev => prev.map((col, idx) => {
       if (idx !== rowIndex) return col;
-      if (['visible', 'editable', 'sortable', 'filterable', 'searchable'].includes(field)) {
+      if (['visible', 'editable', 'sortable', 'filterable', 'filterVisible', 'searchable'].includes(field)) {
         return { ...col, [field]: value === 'true' || value === true };
       }
       if (field === 'width') {
@@ -401,13 +500,9 @@ const BlackColumnModal = ({ isOpen, onClose, pageName, defaultColumns = [], onLo
 
     try {
       // DB 컬럼 목록 가져오기
-      const response = await api.post('/api/col-def', {
-        check_columns: [],
-        table_name: tableName,
-        get_all_columns: true
-      });
+      const allColumns = await store.listDbColumns(tableName);
 
-      if (!response.allColumns || response.allColumns.length === 0) {
+      if (!allColumns || allColumns.length === 0) {
         alert('DB 컬럼 정보를 가져올 수 없습니다.');
         return;
       }
@@ -415,7 +510,7 @@ const BlackColumnModal = ({ isOpen, onClose, pageName, defaultColumns = [], onLo
       const existingFields = localColumns.map(col => col.field);
       const newColumns = [];
 
-      for (const dbCol of response.allColumns) {
+      for (const dbCol of allColumns) {
         if (!existingFields.includes(dbCol.field)) {
           newColumns.push({
             id: Date.now() + Math.random(),
@@ -461,11 +556,7 @@ const BlackColumnModal = ({ isOpen, onClose, pageName, defaultColumns = [], onLo
     let currentDbStatus = { ...dbColumnStatus };
     if (tableName) {
       try {
-        const response = await api.post('/api/col-def', {
-          check_columns: Object.keys(DEFAULT_COLUMN_TEMPLATES),
-          table_name: tableName
-        });
-        currentDbStatus = response.columns || {};
+        currentDbStatus = await store.checkDbColumns(tableName, Object.keys(DEFAULT_COLUMN_TEMPLATES));
       } catch (e) {
         console.error('컬럼 확인 실패:', e);
       }
@@ -579,28 +670,29 @@ const BlackColumnModal = ({ isOpen, onClose, pageName, defaultColumns = [], onLo
 
   const handleDragEnd = () => setDraggedIndex(null);
 
-  // 저장
-  const handleSave = async () => {
-    const columnsToSave = localColumns.map(({ id, ...rest }) => ({
+  // 현재 편집 중인 설정 (저장 형식)
+  const buildConfig = () => ({
+    pageName,
+    tableName,
+    pageTitle,
+    columns: localColumns.map(({ id, ...rest }) => ({
       ...rest,
       width: parseInt(rest.width) || 100  // 빈 값이나 유효하지 않은 값은 100으로
-    }));
+    })),
+    formColumns: formColumns.length > 0 ? formColumns.map(({ id, ...rest }) => rest) : null,
+    formWidth,
+    showRowNumber,
+    showCheckbox,
+    sortModel
+  });
 
-    const formColumnsToSave = formColumns.length > 0
-      ? formColumns.map(({ id, ...rest }) => rest)
-      : null;
+  // 저장
+  const handleSave = async () => {
+    const config = buildConfig();
 
     if (pageName) {
       try {
-        await api.post('/api/col-def', {
-          page_name: pageName,
-          page_title: pageTitle,
-          columns: columnsToSave,
-          form_columns: formColumnsToSave,
-          form_width: formWidth,
-          show_row_number: showRowNumber,
-          show_checkbox: showCheckbox
-        });
+        await store.save({ ...config, note: saveNote.trim(), savedBy: userName });
       } catch (e) {
         console.error('컬럼 설정 저장 실패:', e);
         alert('컬럼 설정 저장에 실패했습니다.');
@@ -608,16 +700,136 @@ const BlackColumnModal = ({ isOpen, onClose, pageName, defaultColumns = [], onLo
       }
     }
 
-    if (onSave) onSave(columnsToSave);
+    setSaveNote('');
+    if (onSave) onSave(config.columns);
 
     // 폼 컬럼 콜백
-    if (onFormColumnsSave && formColumnsToSave) {
-      onFormColumnsSave(formColumnsToSave);
+    if (onFormColumnsSave && config.formColumns) {
+      onFormColumnsSave(config.formColumns);
     }
 
     onClose();
   };
 
+  // === 버전 이력 관련 함수 ===
+  // 비교용 정규화 (모달에서 편집하는 속성과 기본값 기준)
+  const normalizeConfig = (config) => config && ({
+    pageTitle: config.pageTitle || '',
+    columns: mapColumnsToLocal(config.columns || []).map(({ id, ...rest }) => ({ ...rest, width: parseInt(rest.width) || 100 })),
+    formColumns: config.formColumns ? config.formColumns.map(({ id, ...rest }) => rest) : null,
+    formWidth: config.formWidth || 500,
+    showRowNumber: !!config.showRowNumber,
+    showCheckbox: !!config.showCheckbox,
+    sortModel: config.sortModel || []
+  });
+
+  // 이력 탭을 열 때 버전 목록 로드
+  useEffect(() => {
+    if (!isOpen || activeTab !== 'history' || !canViewHistory) return;
+
+    const loadVersions = async () => {
+      setIsLoadingVersions(true);
+      setSelectedVersion(null);
+      try {
+        setVersions(await store.listVersions(pageName));
+      } catch (e) {
+        console.error('버전 이력 로드 실패:', e);
+        setVersions([]);
+      } finally {
+        setIsLoadingVersions(false);
+      }
+    };
+    loadVersions();
+  }, [isOpen, activeTab]);
+
+  // 버전 선택 (선택한 버전과 바로 이전 버전의 설정 로드)
+  const handleSelectVersion = async (version) => {
+    const previous = versions[versions.findIndex(v => v.version === version) + 1];
+    try {
+      const [config, previousConfig] = await Promise.all([
+        store.loadVersion(pageName, version),
+        previous ? store.loadVersion(pageName, previous.version) : null
+      ]);
+      // 첫 버전은 빈 설정과 비교
+      setSelectedVersion({ version, config: normalizeConfig(config || {}), previousConfig: normalizeConfig(previousConfig || {}) });
+    } catch (e) {
+      console.error('버전 로드 실패:', e);
+      alert('버전을 불러올 수 없습니다.');
+    }
+  };
+
+  // 정규화된 설정을 편집 중인 상태에 반영
+  const applyConfig = (config) => {
+    setLocalColumns(mapColumnsToLocal(config.columns));
+    setFormColumns((config.formColumns || []).map((col, idx) => ({ ...col, id: idx })));
+    setFormWidth(config.formWidth);
+    setPageTitle(config.pageTitle);
+    setShowRowNumber(config.showRowNumber);
+    setShowCheckbox(config.showCheckbox);
+    setSortModel(config.sortModel);
+  };
+
+  // 선택한 버전으로 되돌리기 (되돌린 설정을 새 버전으로 저장)
+  const handleRollback = async () => {
+    const { version, config } = selectedVersion;
+    if (!confirm(`버전 ${version}으로 되돌리시겠습니까?\n되돌린 설정은 새 버전으로 저장됩니다.`)) return;
+
+    try {
+      await store.save({ ...config, pageName, tableName, note: `버전 ${version} 복원`, savedBy: userName });
+    } catch (e) {
+      console.error('컬럼 설정 되돌리기 실패:', e);
+      alert('컬럼 설정 되돌리기에 실패했습니다.');
+      return;
+    }
+
+    applyConfig(config);
+    setSelectedVersion(null);
+
+    if (onSave) onSave(config.columns);
+    if (onFormColumnsSave && config.formColumns) {
+      onFormColumnsSave(config.formColumns);
+    }
+
+    onClose();
+  };
+
+  // 저장 일시 표시
+  const formatSavedAt = (savedAt) => {
+    const date = savedAt ? new Date(savedAt) : null;
+    return date && !isNaN(date) ? date.toLocaleString('ko-KR') : '-';
+  };
+
+  // 설정 변경 내용 표 (이력 비교 / 가져오기 미리보기)
+  const renderChanges = (changes, beforeLabel, afterLabel) => {
+    if (changes.length === 0) {
+      return <div className={styles.historyEmpty}>변경 내용이 없습니다.</div>;
+    }
+    return (
+      <table className={`${styles.columnTable} ${styles.diffTable}`}>
+        <thead>
+          <tr>
+            <th>구분</th>
+            <th>항목</th>
+            <th>변경</th>
+            <th>{beforeLabel}</th>
+            <th>{afterLabel}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {changes.map((change, index) => (
+            <tr key={index}>
+              <td>{change.section}</td>
+              <td><span className={styles.accessorText}>{change.item}</span></td>
+              <td className={styles[CHANGE_KINDS[change.kind].className]}>{CHANGE_KINDS[change.kind].label}</td>
+              <td className={styles.diffValue}>{formatDiffValue(change.before)}</td>
+              <td className={styles.diffValue}>{formatDiffValue(change.after)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  };
+
   // 전체 선택/해제
   const handleSelectAll = (field) => {
     const allChecked = localColumns.every(col => col[field]);
@@ -690,18 +902,92 @@ const BlackColumnModal = ({ isOpen, onClose, pageName, defaultColumns = [], onLo
     setFormColumns(sorted.map((col, idx) => ({ ...col, id: idx })));
   };
 
-  const generateFormCode = () => {
-    const code = `const FORM_COLUMNS = [\n${formColumns.map(col =>
-      `  { field: '${col.field}', headerName: '${col.headerName}', type: '${col.type}'${col.required ? ', required: true' : ''}, row: ${col.row || 1} },`
-    ).join('\n')}\n];`;
+  // === 설정 내보내기 / 가져오기 ===
+  const exportDocument = () => JSON.stringify(serializeColumnConfig(buildConfig()), null, 2);
 
-    navigator.clipboard.writeText(code);
-    alert('폼 컬럼 코드가 클립보드에 복사되었습니다.');
+  // JSON 파일로 내보내기
+  const handleExportDownload = () => {
+    downloadBlob(new Blob([exportDocument()], { type: 'application/json' }), `${pageName || 'columns'}.col-def.json`);
   };
 
+  // 클립보드로 내보내기
+  const handleExportCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(exportDocument());
+      alert('컬럼 설정 JSON이 클립보드에 복사되었습니다.');
+    } catch (e) {
+      console.error('클립보드 복사 실패:', e);
+      alert('클립보드 복사 실패: ' + e.message);
+    }
+  };
+
+  // 가져올 JSON 검증 (붙여넣은 텍스트 또는 파일 내용)
+  const handleImportText = (text) => {
+    setImportText(text);
+    setImportResult(text.trim() ? parseColumnConfig(text) : null);
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      handleImportText(await file.text());
+    } catch (err) {
+      console.error('파일 읽기 실패:', err);
+      alert('파일을 읽을 수 없습니다: ' + err.message);
+    }
+  };
+
+  // 가져온 설정을 편집 중인 설정에 적용 (저장해야 반영)
+  const handleImportApply = () => {
+    const { document } = importResult;
+    const config = normalizeConfig(document.config);
+    applyConfig(config);
+    setSaveNote(`설정 가져오기${document.pageName ? ` (${document.pageName})` : ''}`);
+    setImportText('');
+    setImportResult(null);
+    if (tableName) checkDbColumns(config.columns.map(c => c.field));
+    setActiveTab('columns');
+  };
+
+  // 현재 설정을 다른 페이지에 저장 (개발 → 운영 등 레이아웃 복사)
+  const handleCopyToPage = async () => {
+    const target = copyTargetPageName.trim();
+    if (!target || target === pageName) return;
+    if (!confirm(`'${target}' 페이지의 컬럼 설정을 현재 설정으로 덮어쓰시겠습니까?`)) return;
+
+    try {
+      await store.save({ ...buildConfig(), pageName: target, note: `${pageName}에서 복사`, savedBy: userName });
+      alert(`'${target}' 페이지에 저장했습니다.`);
+      setCopyTargetPageName('');
+    } catch (e) {
+      console.error('다른 페이지에 저장 실패:', e);
+      alert('다른 페이지에 저장하지 못했습니다.');
+    }
+  };
+
+  // 정렬 모델 표시용 텍스트 (헤더명 ▲/▼)
+  const describeSortModel = (model) => model.map(item => {
+    const col = localColumns.find(c => c.field === item.field);
+    return `${col?.headerName || item.field} ${item.sort === 'desc' ? '▼' : '▲'}`;
+  }).join(', ');
+
   // 마운트 유지, UI만 숨김
   if (!isOpen) return <></>;
 
+  // 이력 탭 변경 내용 (이전 버전 또는 현재 설정 → 선택한 버전)
+  const compareWithCurrent = compareTarget === 'current';
+  const versionChanges = activeTab === 'history' && selectedVersion
+    ? diffColumnConfig(compareWithCurrent ? normalizeConfig(buildConfig()) : selectedVersion.previousConfig, selectedVersion.config)
+    : [];
+
+  // 가져오기 미리보기 (현재 설정 → 가져올 설정)
+  const importDocument = activeTab === 'transfer' ? importResult?.document : null;
+  const importChanges = importDocument
+    ? diffColumnConfig(normalizeConfig(buildConfig()), normalizeConfig(importDocument.config))
+    : [];
+
   return (
     <div className={styles.modalOverlay} onClick={onClose}>
       <div className={styles.modalContent} style={{ width: '84vw', minWidth: '1100px' }} onClick={(e) => e.stopPropagation()}>
@@ -730,6 +1016,20 @@ const BlackColumnModal = ({ isOpen, onClose, pageName, defaultColumns = [], onLo
           >
             입력폼
           </button>
+          {canViewHistory && (
+            <button
+              className={`${styles.tab} ${activeTab === 'history' ? styles.activeTab : ''}`}
+              onClick={() => setActiveTab('history')}
+            >
+              이력
+            </button>
+          )}
+          <button
+            className={`${styles.tab} ${activeTab === 'transfer' ? styles.activeTab : ''}`}
+            onClick={() => setActiveTab('transfer')}
+          >
+            내보내기/가져오기
+          </button>
         </div>
 
         {/* 기본설정 탭 */}
@@ -795,6 +1095,27 @@ const BlackColumnModal = ({ isOpen, onClose, pageName, defaultColumns = [], onLo
                 </div>
               </div>
 
+              {localColumns.some(col => col.visible && col.filterable) && (
+                <div className={styles.settingRow}>
+                  <span className={styles.settingLabel}>필터 컬럼 표시:</span>
+                  <div className={styles.checkboxList}>
+                    {localColumns.filter(col => col.visible && col.filterable).map((col) => (
+                      <label key={col.field} className={styles.checkboxItem} title="필터 컬럼도 테이블에 표시">
+                        <input
+                          type="checkbox"
+                          checked={col.filterVisible}
+                          onChange={(e) => {
+                            const index = localColumns.findIndex(c => c.field === col.field);
+                            if (index >= 0) handleCellChange(index, 'filterVisible', e.target.checked);
+                          }}
+                        />
+                        <span>{col.headerName}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               <div className={styles.settingRow}>
                 <span className={styles.settingLabel}>검색:</span>
                 <div className={styles.checkboxList}>
@@ -819,6 +1140,22 @@ const BlackColumnModal = ({ isOpen, onClose, pageName, defaultColumns = [], onLo
                 </div>
               </div>
 
+              <div className={styles.settingRow}>
+                <span className={styles.settingLabel}>정렬:</span>
+                <span className={styles.settingValue}>{sortModel.length > 0 ? describeSortModel(sortModel) : '없음'}</span>
+                <button
+                  type="button"
+                  onClick={() => setSortModel(currentSortModel)}
+                  className={styles.defaultColumnBtn}
+                  title={currentSortModel.length > 0 ? describeSortModel(currentSortModel) : '현재 정렬 없음'}
+                >
+                  현재 정렬 적용
+                </button>
+                {sortModel.length > 0 && (
+                  <button type="button" onClick={() => setSortModel([])} className={styles.defaultColumnBtn}>지우기</button>
+                )}
+              </div>
+
               <div className={styles.settingRow}>
                 <span className={styles.settingLabel}>폼폭:</span>
                 <input
@@ -868,6 +1205,8 @@ const BlackColumnModal = ({ isOpen, onClose, pageName, defaultColumns = [], onLo
                 <th className={styles.labelHeader}>헤더명</th>
                 <th>타입</th>
                 <th>크기(px)</th>
+                <th>고정</th>
+                <th>집계</th>
                 <th>표시</th>
                 <th>편집</th>
                 <th>정렬</th>
@@ -916,6 +1255,22 @@ const BlackColumnModal = ({ isOpen, onClose, pageName, defaultColumns = [], onLo
                   <td>
                     <input type="text" value={col.width} onChange={(e) => handleCellChange(index, 'width', e.target.value)} className={styles.widthInput} placeholder="100" />
                   </td>
+                  <td>
+                    <select value={col.pinned || ''} onChange={(e) => handleCellChange(index, 'pinned', e.target.value || undefined)} className={styles.typeSelect}>
+                      {PIN_OPTIONS.map(opt => <option key={opt.value} value={opt.value}>{opt.label}</option>)}
+                    </select>
+                  </td>
+                  <td>
+                    <select
+                      value={typeof col.aggregate === 'string' ? col.aggregate : ''}
+                      onChange={(e) => handleCellChange(index, 'aggregate', e.target.value || undefined)}
+                      className={styles.typeSelect}
+                      disabled={typeof col.aggregate === 'function'}
+                      title={typeof col.aggregate === 'function' ? '코드에서 지정한 집계 함수' : undefined}
+                    >
+                      {AGGREGATE_OPTIONS.map(opt => <option key={opt.value} value={opt.value}>{opt.label}</option>)}
+                    </select>
+                  </td>
                   <td className={styles.checkboxCell}>
                     <input type="checkbox" checked={col.visible} onChange={(e) => handleCellChange(index, 'visible', e.target.checked)} className={styles.checkbox} />
                   </td>
@@ -1050,7 +1405,133 @@ const BlackColumnModal = ({ isOpen, onClose, pageName, defaultColumns = [], onLo
           </>
         )}
 
+        {/* 이력 탭 */}
+        {activeTab === 'history' && canViewHistory && (
+          <div className={styles.modalBody}>
+            <div className={styles.historyContainer}>
+              <div className={styles.versionList}>
+                {isLoadingVersions && <div className={styles.historyEmpty}>불러오는 중...</div>}
+                {!isLoadingVersions && versions.length === 0 && <div className={styles.historyEmpty}>저장된 버전이 없습니다.</div>}
+                {!isLoadingVersions && versions.map((v, index) => (
+                  <button
+                    key={v.version}
+                    type="button"
+                    className={`${styles.versionItem} ${selectedVersion?.version === v.version ? styles.versionItemActive : ''}`}
+                    onClick={() => handleSelectVersion(v.version)}
+                  >
+                    <span className={styles.versionTitle}>버전 {v.version}{index === 0 ? ' (현재)' : ''}</span>
+                    <span className={styles.versionMeta}>{formatSavedAt(v.savedAt)} · {v.savedBy || '알 수 없음'}</span>
+                    {v.note && <span className={styles.versionNote}>{v.note}</span>}
+                  </button>
+                ))}
+              </div>
+
+              <div className={styles.versionDetail}>
+                {!selectedVersion ? (
+                  <div className={styles.historyEmpty}>버전을 선택하면 변경 내용을 볼 수 있습니다.</div>
+                ) : (
+                  <>
+                    <div className={styles.settingRow}>
+                      <span className={styles.settingLabel}>비교:</span>
+                      <select value={compareTarget} onChange={(e) => setCompareTarget(e.target.value)} className={styles.typeSelect}>
+                        <option value="previous">이전 버전 → 버전 {selectedVersion.version}</option>
+                        <option value="current">현재 설정 → 버전 {selectedVersion.version}</option>
+                      </select>
+                      <button
+                        type="button"
+                        onClick={handleRollback}
+                        className={styles.defaultColumnBtn}
+                        disabled={selectedVersion.config.columns.length === 0}
+                      >
+                        이 버전으로 되돌리기
+                      </button>
+                    </div>
+                    {renderChanges(versionChanges, compareWithCurrent ? '현재 설정' : '이전 버전', `버전 ${selectedVersion.version}`)}
+                  </>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* 내보내기/가져오기 탭 */}
+        {activeTab === 'transfer' && (
+          <div className={styles.modalBody}>
+            <div className={styles.settingsContainer}>
+              <div className={styles.settingRow}>
+                <span className={styles.settingLabel}>내보내기:</span>
+                <button type="button" onClick={handleExportDownload} className={styles.defaultColumnBtn}>JSON 파일 저장</button>
+                <button type="button" onClick={handleExportCopy} className={styles.defaultColumnBtn}>클립보드에 복사</button>
+              </div>
+
+              {pageName && (
+                <div className={styles.settingRow}>
+                  <span className={styles.settingLabel}>페이지 복사:</span>
+                  <input
+                    type="text"
+                    value={copyTargetPageName}
+                    onChange={(e) => setCopyTargetPageName(e.target.value)}
+                    placeholder="대상 pageName"
+                    className={styles.settingInput}
+                  />
+                  <button
+                    type="button"
+                    onClick={handleCopyToPage}
+                    className={styles.defaultColumnBtn}
+                    disabled={!copyTargetPageName.trim() || copyTargetPageName.trim() === pageName}
+                  >
+                    다른 페이지에 저장
+                  </button>
+                </div>
+              )}
+
+              <div className={styles.settingRow}>
+                <span className={styles.settingLabel}>가져오기:</span>
+                <div className={styles.importSource}>
+                  <input type="file" accept=".json,application/json" onChange={handleImportFile} />
+                  <textarea
+                    value={importText}
+                    onChange={(e) => handleImportText(e.target.value)}
+                    placeholder="내보낸 JSON을 붙여넣거나 파일을 선택하세요"
+                    className={styles.importText}
+                    rows={6}
+                  />
+                </div>
+              </div>
+
+              {importResult?.errors.length > 0 && (
+                <ul className={styles.importErrors}>
+                  {importResult.errors.map((error, index) => <li key={index}>{error}</li>)}
+                </ul>
+              )}
+
+              {importDocument && (
+                <>
+                  <div className={styles.settingRow}>
+                    <span className={styles.settingLabel}>미리보기:</span>
+                    <span className={styles.settingValue}>
+                      {importDocument.pageName || '(페이지 없음)'} · {formatSavedAt(importDocument.exportedAt)} 내보냄
+                      {importDocument.tableName && tableName && importDocument.tableName !== tableName && ` (테이블 다름: ${importDocument.tableName})`}
+                    </span>
+                    <button type="button" onClick={handleImportApply} className={styles.defaultColumnBtn}>적용 (저장해야 반영)</button>
+                  </div>
+                  {renderChanges(importChanges, '현재 설정', '가져올 설정')}
+                </>
+              )}
+            </div>
+          </div>
+        )}
+
         <div className={styles.modalFooter}>
+          {pageName && (
+            <input
+              type="text"
+              value={saveNote}
+              onChange={(e) => setSaveNote(e.target.value)}
+              placeholder="변경 메모 (선택)"
+              className={`${styles.settingInput} ${styles.noteInput}`}
+            />
+          )}
           <button className={styles.saveButton} onClick={handleSave}>저장</button>
           <button className={styles.cancelButton} onClick={onClose}>취소</button>
         </div>
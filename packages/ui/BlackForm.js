@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { validateValue } from './gridUtils';
 import styles from './BlackForm.module.css';
 
 /**
@@ -9,6 +10,8 @@ import styles from './BlackForm.module.css';
  * - title: 대화창 제목
  * - formColumns: 필드 정의 배열
  *   [{ field, headerName, type, required, editable, valueOptions, row, placeholder }]
+ *   검증 규칙 (BlackGrid 컬럼과 동일): required, min, max, maxLength, pattern (+ patternMessage),
+ *   validate: (value, formData) => 오류 메시지 | null (Promise 가능) - 오류는 필드 아래에 표시
  * - data: 편집할 데이터 (null이면 신규)
  * - onSave: 저장 콜백 (formData) => void
  * - onDelete: 삭제 콜백 (data) => void (옵션)
@@ -35,11 +38,14 @@ export default function BlackForm({
   width = 500,
 }) {
   const [formData, setFormData] = useState({});
+  const [errors, setErrors] = useState({});
+  const [isValidating, setIsValidating] = useState(false);
   const isEditMode = !!data?.id;
 
   // 초기 데이터 설정
   useEffect(() => {
     if (open) {
+      setErrors({});
       if (data) {
         setFormData({ ...data });
       } else {
@@ -60,19 +66,34 @@ export default function BlackForm({
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors(prev => {
+        const next = { ...prev };
+        delete next[name];
+        return next;
+      });
+    }
   };
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
+    if (isValidating) return;
 
-    // 필수 필드 검증 (password는 수정 모드에서 생략 가능)
-    const requiredFields = formColumns.filter(col => col.required);
-    for (const col of requiredFields) {
-      const skipPassword = col.type === 'password' && isEditMode;
-      if (!skipPassword && (!formData[col.field] || formData[col.field].toString().trim() === '')) {
-        alert(`${col.headerName}을(를) 입력해주세요.`);
-        return;
-      }
+    // 필드 검증 (password는 수정 모드에서 생략 가능, 수정 불가 필드는 제외)
+    setIsValidating(true);
+    const results = await Promise.all(formColumns.map(async (col) => {
+      if (col.editable === false && isEditMode) return [col.field, null];
+      const rules = col.type === 'password' && isEditMode ? { ...col, required: false } : col;
+      return [col.field, await validateValue(formData[col.field], rules, formData)];
+    }));
+    setIsValidating(false);
+
+    const nextErrors = Object.fromEntries(results.filter(([, error]) => error));
+    setErrors(nextErrors);
+    const firstErrorField = Object.keys(nextErrors)[0];
+    if (firstErrorField) {
+      document.getElementById(firstErrorField)?.focus();
+      return;
     }
 
     onSave(formData);
@@ -198,17 +219,22 @@ export default function BlackForm({
           <button className={styles.closeBtn} onClick={onClose}>&times;</button>
         </div>
 
-        <form onSubmit={handleSubmit} className={styles.form}>
+        <form onSubmit={handleSubmit} className={styles.form} noValidate>
           <div className={styles.formBody}>
             {Object.entries(groupedColumns).map(([rowKey, cols]) => (
               <div key={rowKey} className={styles.formRow}>
                 {cols.map(col => (
-                  <div key={col.field} className={styles.formField} style={{ flex: col.flex || 1 }}>
+                  <div
+                    key={col.field}
+                    className={`${styles.formField} ${errors[col.field] ? styles.invalidField : ''}`}
+                    style={{ flex: col.flex || 1 }}
+                  >
                     <label htmlFor={col.field}>
                       {col.headerName}
                       {col.required && <span className={styles.required}>*</span>}
                     </label>
                     {renderInput(col)}
+                    {errors[col.field] && <div className={styles.fieldError}>{errors[col.field]}</div>}
                   </div>
                 ))}
               </div>
@@ -225,7 +251,7 @@ export default function BlackForm({
               <button type="button" className={styles.cancelBtn} onClick={onClose}>
                 취소
               </button>
-              <button type="submit" className={styles.submitBtn}>
+              <button type="submit" className={styles.submitBtn} disabled={isValidating}>
                 {isEditMode ? '수정' : '저장'}
               </button>
             </div>
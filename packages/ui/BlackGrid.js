@@ -1,99 +1,476 @@
-import React, { useState, useMemo, useRef, useEffect } from 'react';
+import React, { useState, useMemo, useRef, useEffect, useLayoutEffect, forwardRef, useImperativeHandle } from 'react';
 import BlackColumnModal from './BlackColumnModal';
 import BlackForm from './BlackForm';
+import BlackImportModal from './BlackImportModal';
+import { createRestColumnStore, defaultApi } from './columnStore';
+import { exportTable, toTsv } from './gridExport';
+import { parseTsv } from './gridImport';
+import {
+  NUMBER_TYPES,
+  DATE_TYPES,
+  formatDate,
+  validateNumber,
+  formatByType,
+  normalizeOptions,
+  convertByType,
+  validateValue,
+  loadLocalState,
+  saveLocalState,
+  aggregateValues,
+  AGGREGATE_LABELS,
+  readGridUrlState,
+  writeGridUrlState,
+} from './gridUtils';
 import styles from './BlackGrid.module.css';
 
-// 기본 API 클라이언트 (fetch 기반)
-const defaultApi = {
-  get: async (url) => {
-    const res = await fetch(url);
-    return res.json();
+// 날짜 값을 정렬용 타임스탬프로 변환 (2024-1-5, 2024-01-10 14:30 등 자릿수와 무관하게)
+const parseDateValue = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  const str = String(value).trim();
+  const match = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (match) {
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = match;
+    return new Date(+year, +month - 1, +day, +hour, +minute, +second).getTime();
   }
+  return new Date(str).getTime();
 };
 
-// 날짜 포맷 (YYYY-MM-DD)
-const formatDate = (value) => {
-  if (!value) return '';
-  try {
-    const date = new Date(value);
-    if (isNaN(date.getTime())) return value;
-    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
-  } catch {
-    return value;
+// 타입별 정렬 값 (비어 있거나 해석할 수 없으면 null)
+const getSortValue = (value, col) => {
+  if (value == null || value === '') return null;
+  switch (col.type) {
+    case 'number':
+    case 'currency':
+    case 'integer':
+    case 'float': {
+      // API에서 "1,200" 같은 문자열로 오는 경우도 숫자로 비교
+      const result = validateNumber(value);
+      return result.valid && result.value !== '' ? result.value : null;
+    }
+    case 'date':
+    case 'datetime': {
+      const time = parseDateValue(value);
+      return isNaN(time) ? null : time;
+    }
+    case 'singleSelect': {
+      // 원시 값이 아닌 표시 라벨 기준
+      const option = col.valueOptions?.find(opt => String(typeof opt === 'object' ? opt.value : opt) === String(value));
+      if (!option) return String(value);
+      return String(typeof option === 'object' ? option.label : option);
+    }
+    default:
+      return value;
   }
 };
 
-// 날짜 입력 검사 및 변환 (YYYY-MM-DD 또는 MM-DD 허용)
-const validateAndConvertDate = (value) => {
-  if (!value || value.trim() === '') return { valid: true, value: '' };
-  const trimmed = value.trim();
+// 정렬 값 비교
+const compareValues = (a, b) => {
+  if (typeof a === 'string' && typeof b === 'string') return a.localeCompare(b);
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+};
 
-  // YYYY-MM-DD 형식
-  const fullMatch = trimmed.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
-  if (fullMatch) {
-    const [, year, month, day] = fullMatch;
-    const m = month.padStart(2, '0');
-    const d = day.padStart(2, '0');
-    if (parseInt(m) >= 1 && parseInt(m) <= 12 && parseInt(d) >= 1 && parseInt(d) <= 31) {
-      return { valid: true, value: `${year}-${m}-${d}` };
-    }
-  }
+// 정렬된 행을 그룹 컬럼 순서대로 그룹 트리로 (그룹 안의 행 순서는 유지)
+// 그룹 값은 정렬 모델에 그룹 필드가 있으면 그 방향, 없으면 오름차순 (빈 값은 마지막)
+const buildGroupTree = (rows, groupCols, sortModel, depth = 0, parentKey = '') => {
+  const col = groupCols[depth];
+  const buckets = new Map();
+  rows.forEach(row => {
+    const value = col.valueGetter ? col.valueGetter({ row, value: row[col.field], field: col.field }) : row[col.field];
+    const id = value == null ? '' : String(value);
+    if (!buckets.has(id)) buckets.set(id, { value, rows: [] });
+    buckets.get(id).rows.push(row);
+  });
+
+  const desc = sortModel.find(item => item.field === col.field)?.sort === 'desc';
+  const groups = Array.from(buckets, ([id, bucket]) => {
+    const key = `${parentKey}${col.field}:${id}/`;
+    return {
+      key,
+      col,
+      depth,
+      value: bucket.value,
+      rows: bucket.rows,
+      children: depth + 1 < groupCols.length ? buildGroupTree(bucket.rows, groupCols, sortModel, depth + 1, key) : null
+    };
+  });
+  return groups.sort((a, b) => {
+    const aVal = getSortValue(a.value, col);
+    const bVal = getSortValue(b.value, col);
+    if (aVal == null || bVal == null) return aVal == null ? (bVal == null ? 0 : 1) : -1;
+    const result = compareValues(aVal, bVal);
+    return desc ? -result : result;
+  });
+};
+
+// 컬럼 집계 값 표시 (셀과 같은 타입 포맷, 사용자 함수 결과는 그대로)
+const formatAggregate = (col, rows) => {
+  const values = rows.map(row => (col.valueGetter ? col.valueGetter({ row, value: row[col.field], field: col.field }) : row[col.field]));
+  const result = aggregateValues(col.aggregate, values, rows, col);
+  if (typeof col.aggregate === 'function') return result;
+  return formatByType(result, col.aggregate === 'count' ? 'number' : col.type);
+};
 
-  // MM-DD 형식 (현재 연도 사용)
-  const shortMatch = trimmed.match(/^(\d{1,2})-(\d{1,2})$/);
-  if (shortMatch) {
-    const [, month, day] = shortMatch;
-    const m = month.padStart(2, '0');
-    const d = day.padStart(2, '0');
-    if (parseInt(m) >= 1 && parseInt(m) <= 12 && parseInt(d) >= 1 && parseInt(d) <= 31) {
-      const year = new Date().getFullYear();
-      return { valid: true, value: `${year}-${m}-${d}` };
+// 그룹 트리의 행을 그룹 순서대로 펼침
+const flattenGroupRows = (groups) => groups.flatMap(group => (group.children ? flattenGroupRows(group.children) : group.rows));
+
+// 트리 데이터: 부모/자식 관계 (getTreeDataPath가 있으면 경로, 없으면 부모 id 필드로 부모를 찾음)
+// 부모가 목록에 없으면 최상위(null), 자식 배열은 rows 순서
+const buildTreeIndex = (rows, parentField, getTreeDataPath) => {
+  const keyOf = getTreeDataPath ? (row) => JSON.stringify(getTreeDataPath(row)) : (row) => String(row.id);
+  const parentKeyOf = getTreeDataPath
+    ? (row) => {
+      const path = getTreeDataPath(row);
+      return path.length > 1 ? JSON.stringify(path.slice(0, -1)) : null;
     }
+    : (row) => (row[parentField] == null || row[parentField] === '' ? null : String(row[parentField]));
+  const byKey = new Map(rows.map(row => [keyOf(row), row]));
+  const parentOf = new Map();
+  const childrenOf = new Map();
+  rows.forEach(row => {
+    const key = parentKeyOf(row);
+    const parent = (key != null && byKey.get(key)) || null;
+    parentOf.set(row, parent);
+    if (!childrenOf.has(parent)) childrenOf.set(parent, []);
+    childrenOf.get(parent).push(row);
+  });
+  return { parentOf, childrenOf };
+};
+
+// 트리 들여쓰기 (rem, 깊이당)
+const TREE_INDENT = 1.2;
+
+// URL 체크
+const isUrl = (value) => typeof value === 'string' && (value.startsWith('http://') || value.startsWith('https://'));
+
+// 필터 연산자
+const FILTER_OPERATORS = {
+  contains: { label: '포함' },
+  startsWith: { label: '시작 문자' },
+  equals: { label: '=' },
+  notEquals: { label: '≠' },
+  gt: { label: '>' },
+  lt: { label: '<' },
+  between: { label: '범위' },
+  isAnyOf: { label: '목록 중' },
+  isEmpty: { label: '비어 있음', noValue: true },
+  isNotEmpty: { label: '비어 있지 않음', noValue: true },
+};
+
+// 타입별 사용 가능한 필터 연산자
+const getFilterOperators = (type) => {
+  if (NUMBER_TYPES.includes(type) || DATE_TYPES.includes(type)) {
+    return ['equals', 'notEquals', 'gt', 'lt', 'between', 'isEmpty', 'isNotEmpty'];
+  }
+  if (type === 'singleSelect') {
+    return ['isAnyOf', 'equals', 'notEquals', 'isEmpty', 'isNotEmpty'];
   }
+  return ['contains', 'startsWith', 'equals', 'notEquals', 'isEmpty', 'isNotEmpty'];
+};
+
+const isBlank = (value) => value == null || String(value).trim() === '';
 
-  return { valid: false, value: trimmed };
+// 값 입력이 끝난 필터 조건인지 (미완성 조건은 무시)
+const isFilterItemComplete = (item) => {
+  const operator = FILTER_OPERATORS[item.operator];
+  if (!item.field || !operator) return false;
+  if (operator.noValue) return true;
+  if (item.operator === 'between') return Array.isArray(item.value) && item.value.some(v => !isBlank(v));
+  if (item.operator === 'isAnyOf') return Array.isArray(item.value) && item.value.length > 0;
+  return !isBlank(item.value);
 };
 
-// 숫자 입력 검사
-const validateNumber = (value) => {
-  // null, undefined, 빈 문자열 처리
-  if (value == null || value === '') return { valid: true, value: '' };
-  // 숫자 타입인 경우 바로 반환
-  if (typeof value === 'number') return { valid: true, value: value };
-  // 문자열로 변환
-  const str = String(value).trim();
-  if (str === '') return { valid: true, value: '' };
-  const trimmed = str.replace(/,/g, '');
-  const num = parseFloat(trimmed);
-  if (isNaN(num)) return { valid: false, value: trimmed };
-  return { valid: true, value: num };
+// 필터 비교용 값 (날짜는 일 단위)
+const getFilterValue = (value, col) => {
+  if (DATE_TYPES.includes(col.type)) {
+    if (isBlank(value)) return null;
+    const time = parseDateValue(formatDate(value));
+    return isNaN(time) ? null : time;
+  }
+  return getSortValue(value, col);
 };
 
-// 타입별 포맷팅
-const formatByType = (value, type) => {
-  if (value == null || value === '') return '';
-  switch (type) {
-    case 'date':
-    case 'datetime':
-      return formatDate(value);
-    case 'number':
-    case 'currency':
-    case 'integer':
-    case 'float': {
-      const num = Number(value);
-      // 소수점 이하가 없으면 정수로 표시
-      if (Number.isInteger(num)) {
-        return num.toLocaleString('ko-KR', { maximumFractionDigits: 0 });
+// 한 행이 필터 조건 하나를 만족하는지
+const matchesFilterItem = (row, item, col) => {
+  const raw = col.valueGetter ? col.valueGetter({ row, value: row[col.field], field: col.field }) : row[col.field];
+  if (item.operator === 'isEmpty') return isBlank(raw);
+  if (item.operator === 'isNotEmpty') return !isBlank(raw);
+
+  // 숫자/날짜: 타입 값으로 비교
+  if (NUMBER_TYPES.includes(col.type) || DATE_TYPES.includes(col.type)) {
+    const value = getFilterValue(raw, col);
+    const target = (v) => getFilterValue(v, col);
+    switch (item.operator) {
+      case 'equals': return value != null && value === target(item.value);
+      case 'notEquals': return value !== target(item.value);
+      case 'gt': return value != null && target(item.value) != null && value > target(item.value);
+      case 'lt': return value != null && target(item.value) != null && value < target(item.value);
+      case 'between': {
+        if (value == null) return false;
+        const [from, to] = item.value.map(target);
+        return (from == null || value >= from) && (to == null || value <= to);
       }
-      return num.toLocaleString('ko-KR', { maximumFractionDigits: 2 });
+      default: return true;
+    }
+  }
+
+  // singleSelect: 원시 값 비교
+  if (col.type === 'singleSelect') {
+    switch (item.operator) {
+      case 'isAnyOf': return item.value.map(String).includes(String(raw ?? ''));
+      case 'equals': return String(raw ?? '') === String(item.value);
+      case 'notEquals': return String(raw ?? '') !== String(item.value);
+      default: return true;
     }
-    default:
-      return value;
+  }
+
+  // 문자열: 대소문자 무시
+  const text = String(raw ?? '').toLowerCase();
+  const term = String(item.value).toLowerCase();
+  switch (item.operator) {
+    case 'contains': return text.includes(term);
+    case 'startsWith': return text.startsWith(term);
+    case 'equals': return text === term;
+    case 'notEquals': return text !== term;
+    default: return true;
   }
 };
 
-// URL 체크
-const isUrl = (value) => typeof value === 'string' && (value.startsWith('http://') || value.startsWith('https://'));
+// 필터 모델 적용 (logicOperator: 'and' | 'or')
+const applyFilterModel = (rows, filterModel, columns) => {
+  const items = (filterModel?.items || [])
+    .filter(isFilterItemComplete)
+    .map(item => ({ item, col: columns.find(c => c.field === item.field) }))
+    .filter(({ col }) => col);
+  if (items.length === 0) return rows;
+  const isOr = filterModel.logicOperator === 'or';
+  return rows.filter(row => (isOr
+    ? items.some(({ item, col }) => matchesFilterItem(row, item, col))
+    : items.every(({ item, col }) => matchesFilterItem(row, item, col))));
+};
+
+// 컬럼 최소 너비 기본값 (px)
+const MIN_COLUMN_WIDTH = 40;
+
+// 컬럼 minWidth/maxWidth 범위로 너비 제한 (minWidth가 없으면 defaultMin)
+const clampColumnWidth = (width, col, defaultMin = MIN_COLUMN_WIDTH) =>
+  Math.round(Math.min(col.maxWidth ?? Infinity, Math.max(col.minWidth ?? defaultMin, width)));
+
+// 고정 위치 계산용 체크박스/행 번호 컬럼 키
+const CHECKBOX_KEY = '__checkbox';
+const ROW_NUMBER_KEY = '__rowNumber';
+const EXPANDER_KEY = '__expander';
+
+// 상세 패널 기본 높이 (가상 스크롤에서 getDetailPanelHeight가 'auto'일 때)
+const DETAIL_PANEL_HEIGHT = 200;
+
+// 상세 패널 높이 (가상 스크롤은 고정 높이 필요 - 숫자가 아니면 기본값)
+const getFixedDetailHeight = (getDetailPanelHeight, row) => {
+  const height = getDetailPanelHeight?.(row);
+  return typeof height === 'number' ? height : DETAIL_PANEL_HEIGHT;
+};
+
+// 그리드에서 바꾼 너비/순서를 col-def에 저장하기 전 기다리는 시간 (ms) - 연속된 변경을 한 버전으로 저장
+const COL_DEF_SAVE_DELAY = 1000;
+
+// 모아 둔 col-def 저장 실행 (pending: { timer, columns, notes, save })
+const flushColumnDefsSave = (pending) => {
+  clearTimeout(pending.timer);
+  if (!pending.columns) return;
+  const { columns, notes } = pending;
+  Object.assign(pending, { timer: null, columns: null, notes: [] });
+  pending.save(columns, notes.join(', '));
+};
+
+// 로컬 저장 키 (storageKey 기준)
+const localStateKey = (storageKey) => `blackgrid:${storageKey}`;
+
+// 컬럼을 대상 컬럼 앞/뒤로 이동 (lockPosition 컬럼은 원래 자리 유지)
+const moveColumn = (cols, sourceField, targetField, after) => {
+  const movable = cols.filter(col => !col.lockPosition);
+  const from = movable.findIndex(col => col.field === sourceField);
+  if (from < 0) return cols;
+  const [moved] = movable.splice(from, 1);
+  const to = movable.findIndex(col => col.field === targetField);
+  if (to < 0) return cols;
+  movable.splice(after ? to + 1 : to, 0, moved);
+  let i = 0;
+  return cols.map(col => (col.lockPosition ? col : movable[i++]));
+};
+
+// 저장된 필드 순서로 컬럼 정렬 (순서에 없는 컬럼은 뒤에 원래 순서대로)
+const applyColumnOrder = (cols, order) => {
+  if (!Array.isArray(order) || order.length === 0) return cols;
+  const rank = new Map(order.map((field, i) => [field, i]));
+  return [...cols].sort((a, b) => (rank.get(a.field) ?? Infinity) - (rank.get(b.field) ?? Infinity));
+};
+
+// 일괄 편집 보류 변경 (updated: { rowId: { row: 원본 행, changes: { field: value } } }, deleted: { rowId: 원본 행 })
+const EMPTY_BATCH_CHANGES = { added: [], updated: {}, deleted: {} };
+
+// 셀 변경을 일괄 편집 보류 변경에 반영 (원래 값으로 돌아온 셀은 변경에서 제외)
+const applyBatchCellChanges = (pending, changes, baseRows) => {
+  const added = [...pending.added];
+  const updated = { ...pending.updated };
+  changes.forEach(({ rowId, field, value }) => {
+    const addedIndex = added.findIndex(row => row.id === rowId);
+    if (addedIndex >= 0) {
+      added[addedIndex] = { ...added[addedIndex], [field]: value };
+      return;
+    }
+    const original = updated[rowId]?.row || baseRows.find(row => row.id === rowId);
+    if (!original) return;
+    const rowChanges = { ...updated[rowId]?.changes, [field]: value };
+    if (String(original[field] ?? '') === String(value ?? '')) delete rowChanges[field];
+    if (Object.keys(rowChanges).length > 0) updated[rowId] = { row: original, changes: rowChanges };
+    else delete updated[rowId];
+  });
+  return { ...pending, added, updated };
+};
+
+// 필터 패널 컴포넌트
+const FilterPanel = ({ columns, filterModel, x, y, getOptions, onChange, onClose }) => {
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (!e.target.closest(`.${styles.filterPanel}`) && !e.target.closest(`.${styles.filterToggleBtn}`)) {
+        onClose();
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [onClose]);
+
+  const items = filterModel.items || [];
+
+  const updateItem = (id, patch) => {
+    onChange({ ...filterModel, items: items.map(item => (item.id === id ? { ...item, ...patch } : item)) });
+  };
+
+  const addItem = () => {
+    const col = columns[0];
+    if (!col) return;
+    onChange({
+      ...filterModel,
+      items: [...items, { id: Date.now() + Math.random(), field: col.field, operator: getFilterOperators(col.type)[0], value: '' }]
+    });
+  };
+
+  const removeItem = (id) => onChange({ ...filterModel, items: items.filter(item => item.id !== id) });
+
+  // 컬럼/연산자 변경 시 값 형태 초기화
+  const changeField = (item, field) => {
+    const col = columns.find(c => c.field === field);
+    const operator = getFilterOperators(col?.type)[0];
+    updateItem(item.id, { field, operator, value: operator === 'isAnyOf' ? [] : '' });
+  };
+  const changeOperator = (item, operator) => {
+    const value = operator === 'between' ? ['', ''] : operator === 'isAnyOf' ? [] : (Array.isArray(item.value) ? '' : item.value);
+    updateItem(item.id, { operator, value });
+  };
+
+  const renderValueInput = (item, col) => {
+    if (!col || FILTER_OPERATORS[item.operator]?.noValue) return <span className={styles.filterValue} />;
+    const inputType = DATE_TYPES.includes(col.type) ? 'date' : 'text';
+
+    if (item.operator === 'between') {
+      const [from = '', to = ''] = Array.isArray(item.value) ? item.value : [];
+      return (
+        <span className={styles.filterValue}>
+          <input type={inputType} value={from} onChange={(e) => updateItem(item.id, { value: [e.target.value, to] })} placeholder="부터" />
+          <span>~</span>
+          <input type={inputType} value={to} onChange={(e) => updateItem(item.id, { value: [from, e.target.value] })} placeholder="까지" />
+        </span>
+      );
+    }
+
+    if (col.type === 'singleSelect') {
+      const options = getOptions(col);
+      if (item.operator === 'isAnyOf') {
+        const selected = (Array.isArray(item.value) ? item.value : []).map(String);
+        return (
+          <span className={`${styles.filterValue} ${styles.filterOptionList}`}>
+            {options.map(opt => (
+              <label key={String(opt.value)}>
+                <input
+                  type="checkbox"
+                  checked={selected.includes(String(opt.value))}
+                  onChange={(e) => updateItem(item.id, {
+                    value: e.target.checked
+                      ? [...selected, String(opt.value)]
+                      : selected.filter(v => v !== String(opt.value))
+                  })}
+                />
+                {opt.label}
+              </label>
+            ))}
+          </span>
+        );
+      }
+      return (
+        <span className={styles.filterValue}>
+          <select value={String(item.value ?? '')} onChange={(e) => updateItem(item.id, { value: e.target.value })}>
+            <option value="">선택</option>
+            {options.map(opt => <option key={String(opt.value)} value={String(opt.value)}>{opt.label}</option>)}
+          </select>
+        </span>
+      );
+    }
+
+    return (
+      <span className={styles.filterValue}>
+        <input type={inputType} value={item.value ?? ''} onChange={(e) => updateItem(item.id, { value: e.target.value })} placeholder="값" />
+      </span>
+    );
+  };
+
+  const panelStyle = {
+    position: 'fixed',
+    top: Math.min(y, window.innerHeight - 200),
+    left: Math.max(8, Math.min(x, window.innerWidth - 620))
+  };
+
+  return (
+    <div className={styles.filterPanel} style={panelStyle}>
+      {items.length === 0 && <div className={styles.filterEmpty}>필터 조건이 없습니다.</div>}
+      {items.map((item, index) => {
+        const col = columns.find(c => c.field === item.field);
+        return (
+          <div key={item.id} className={styles.filterRow}>
+            <button type="button" className={styles.filterRemoveBtn} onClick={() => removeItem(item.id)} title="조건 삭제">✕</button>
+            {index === 0 ? (
+              <span className={styles.filterLogic}>조건</span>
+            ) : (
+              <select
+                className={styles.filterLogic}
+                value={filterModel.logicOperator || 'and'}
+                onChange={(e) => onChange({ ...filterModel, logicOperator: e.target.value })}
+                disabled={index > 1}
+              >
+                <option value="and">그리고</option>
+                <option value="or">또는</option>
+              </select>
+            )}
+            <select value={item.field} onChange={(e) => changeField(item, e.target.value)}>
+              {columns.map(c => <option key={c.field} value={c.field}>{c.headerName}</option>)}
+            </select>
+            <select value={item.operator} onChange={(e) => changeOperator(item, e.target.value)}>
+              {getFilterOperators(col?.type).map(op => <option key={op} value={op}>{FILTER_OPERATORS[op].label}</option>)}
+            </select>
+            {renderValueInput(item, col)}
+          </div>
+        );
+      })}
+      <div className={styles.filterPanelFooter}>
+        <button type="button" onClick={addItem} className={styles.filterAddBtn}>+ 조건 추가</button>
+        {items.length > 0 && (
+          <button type="button" onClick={() => onChange({ ...filterModel, items: [] })} className={styles.clearFilterBtn}>모두 지우기</button>
+        )}
+      </div>
+    </div>
+  );
+};
 
 // 날짜 선택 모달 컴포넌트
 const DatePickerModal = ({ value, x, y, onSelect, onClose }) => {
@@ -185,6 +562,129 @@ const DatePickerModal = ({ value, x, y, onSelect, onClose }) => {
   );
 };
 
+// 내보내기 범위
+const EXPORT_SCOPES = [
+  { value: 'all', label: '전체' },
+  { value: 'filtered', label: '필터 결과' },
+  { value: 'page', label: '현재 페이지' },
+  { value: 'selected', label: '선택 행' },
+];
+
+// 내보내기 메뉴 컴포넌트
+const ExportMenu = ({ x, y, selectedCount, onExport, onClose }) => {
+  const [scope, setScope] = useState(selectedCount > 0 ? 'selected' : 'filtered');
+  const [raw, setRaw] = useState(false);
+
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (!e.target.closest(`.${styles.exportMenu}`) && !e.target.closest(`.${styles.exportBtn}`)) {
+        onClose();
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [onClose]);
+
+  return (
+    <div className={styles.exportMenu} style={{ position: 'fixed', top: y, left: Math.max(8, Math.min(x, window.innerWidth - 220)) }}>
+      <div className={styles.exportSection}>
+        {EXPORT_SCOPES.map(opt => (
+          <label key={opt.value} className={opt.value === 'selected' && selectedCount === 0 ? styles.exportDisabled : ''}>
+            <input
+              type="radio"
+              name="exportScope"
+              value={opt.value}
+              checked={scope === opt.value}
+              disabled={opt.value === 'selected' && selectedCount === 0}
+              onChange={() => setScope(opt.value)}
+            />
+            {opt.label}{opt.value === 'selected' ? ` (${selectedCount})` : ''}
+          </label>
+        ))}
+      </div>
+      <div className={styles.exportSection}>
+        <label>
+          <input type="checkbox" checked={raw} onChange={(e) => setRaw(e.target.checked)} />
+          원본 값 (표시 형식 미적용)
+        </label>
+      </div>
+      <div className={styles.exportActions}>
+        <button type="button" onClick={() => onExport({ format: 'csv', scope, raw })}>CSV</button>
+        <button type="button" onClick={() => onExport({ format: 'xlsx', scope, raw })}>Excel</button>
+      </div>
+    </div>
+  );
+};
+
+// 저장된 보기의 컬럼 순서/표시 여부 적용 (보기에 없는 컬럼은 뒤에 그대로)
+const applyViewColumns = (cols, viewColumns) => {
+  const byField = new Map(viewColumns.map(col => [col.field, col]));
+  return applyColumnOrder(cols, viewColumns.map(col => col.field))
+    .map(col => (byField.has(col.field) ? { ...col, visible: byField.get(col.field).visible !== false } : col));
+};
+
+// 저장소에 반영하지 못한 로컬 보기를 저장소 보기와 합침
+// (id 기준, 로컬 보기 우선, 로컬에서 삭제한 보기는 제외, 기본 보기는 로컬에서 바꿨을 때만 로컬 값)
+const mergePendingViews = (remote, local) => {
+  const deleted = new Set(local.deletedViewIds || []);
+  const localViews = local.views || [];
+  const localIds = new Set(localViews.map(view => view.id));
+  const views = [
+    ...remote.views.filter(view => !deleted.has(view.id)).map(view => (localIds.has(view.id) ? localViews.find(v => v.id === view.id) : view)),
+    ...localViews.filter(view => !remote.views.some(v => v.id === view.id))
+  ];
+  const defaultViewId = local.defaultViewChanged ? local.defaultViewId : remote.defaultViewId;
+  return { views, defaultViewId: views.some(view => view.id === defaultViewId) ? defaultViewId : null };
+};
+
+// 저장된 보기 메뉴 컴포넌트
+const ViewMenu = ({ x, y, views, activeViewId, defaultViewId, isModified, pendingSync, onSelect, onSaveAs, onOverwrite, onRename, onSetDefault, onDelete, onClose }) => {
+  const activeView = views.find(view => view.id === activeViewId);
+
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (!e.target.closest(`.${styles.viewMenu}`) && !e.target.closest(`.${styles.viewBtn}`)) {
+        onClose();
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [onClose]);
+
+  return (
+    <div className={styles.viewMenu} style={{ position: 'fixed', top: y, left: Math.max(8, Math.min(x, window.innerWidth - 240)) }}>
+      {pendingSync && <div className={styles.viewPending}>저장소에 아직 반영되지 않은 보기가 있습니다 (이 브라우저에만 저장됨)</div>}
+      <div className={styles.viewList}>
+        {views.length === 0 && <div className={styles.viewEmpty}>저장된 보기가 없습니다</div>}
+        {views.map(view => (
+          <button
+            key={view.id}
+            type="button"
+            className={`${styles.viewItem} ${view.id === activeViewId ? styles.viewItemActive : ''}`}
+            onClick={() => onSelect(view)}
+          >
+            <span>{view.name}</span>
+            {view.id === defaultViewId && <span className={styles.viewDefaultMark} title="기본 보기">★</span>}
+          </button>
+        ))}
+      </div>
+      <div className={styles.viewActions}>
+        <button type="button" onClick={onSaveAs}>현재 상태를 새 보기로 저장</button>
+        {activeView && (
+          <>
+            <button type="button" onClick={() => onOverwrite(activeView)} disabled={!isModified}>"{activeView.name}"에 현재 상태 저장</button>
+            <button type="button" onClick={() => onRename(activeView)}>이름 변경</button>
+            <button type="button" onClick={() => onSetDefault(activeView.id === defaultViewId ? null : activeView.id)}>
+              {activeView.id === defaultViewId ? '기본 보기 해제' : '기본 보기로 설정'}
+            </button>
+            <button type="button" onClick={() => onDelete(activeView)} className={styles.viewDeleteBtn}>삭제</button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
 /**
  * BlackGrid - 통합 데이터 그리드 + 폼
  *
@@ -192,9 +692,45 @@ const DatePickerModal = ({ value, x, y, onSelect, onClose }) => {
  * - data: 데이터 배열
  * - onRowClick: 행 클릭 핸들러
  * - onCellChange: 셀 변경 핸들러
+ * - onCellsChange: 여러 셀 변경 핸들러 ([{ rowId, field, value, oldValue }]) => Promise - 붙여넣기/실행 취소 시 한 번에 호출
+ *   (없으면 셀마다 onCellChange 호출)
+ * - historyDepth: 편집 이력(실행 취소) 최대 단계 - 기본 0 (사용 안 함), 1 이상이면 툴바에 실행 취소/다시 실행 버튼 표시
+ * - onValidationError: ({ rowId, field, value, message }) => void - 셀 편집/붙여넣기 값이 검증에 실패했을 때
+ *
+ * 컬럼 검증 규칙 (BlackForm 필드와 동일):
+ * - required, min, max (숫자형: 숫자, 날짜형: 'YYYY-MM-DD'), maxLength, pattern (+ patternMessage)
+ * - validate: (value, row) => 오류 메시지 | null (Promise 가능)
+ *   실패 시 편집 상태를 유지하고 셀에 빨간 테두리와 오류 메시지 표시
+ *
+ * 일괄 편집 Props:
+ * - editMode: 'cell' (기본, 셀 저장 시 바로 onCellChange) | 'batch' (변경을 모았다가 툴바 저장 버튼으로 한 번에 전달)
+ * - onBatchSave: ({ added, updated, deleted }) => Promise - batch 모드 저장
+ *   added: 추가 행 (임시 id 제외), updated: 변경이 반영된 전체 행, deleted: 삭제 표시한 원본 행
+ *   batch 모드에서 ＋는 빈 행 추가, 우클릭 메뉴의 삭제는 삭제 표시/취소, 저장하지 않은 변경이 있으면 페이지 이동/창 닫기 시 확인
  * - onEdit/onDelete: 컨텍스트 메뉴 핸들러
  * - onAddRow: 행 추가 핸들러
  *
+ * 행 선택 Props:
+ * - showCheckbox: 선택 컬럼 표시 (컬럼 설정의 show_checkbox가 있으면 그 값)
+ * - selectionMode: 'multiple' (기본, 체크박스) | 'single' (라디오, 한 행만)
+ * - selectionModel: 선택한 행 id 배열 (controlled) - 페이지 이동/필터/server 모드 재조회와 무관하게 유지
+ * - onSelectionModelChange: (ids) => void
+ * - onSelectionChange: (ids, rows) => void - rows는 선택한 행 데이터 (다른 페이지에서 선택해 지금 data에 없는 행 포함)
+ * - isRowSelectable: (row) => boolean - false면 체크박스 비활성, 전체/그룹/범위 선택에서 제외
+ *   Shift+클릭: 마지막으로 클릭한 행부터 범위 선택/해제
+ *   헤더 체크박스: 현재 페이지 선택/해제 (일부만 선택하면 indeterminate)
+ *   툴바: 선택 건수 배지와 선택 해제(✕), 현재 페이지를 모두 선택하면 "검색된 N건 모두 선택" (client 모드)
+ *
+ * 키보드 (엑셀 방식):
+ * - 방향키/Tab/Shift+Tab/Home/End/PageUp/PageDown: 활성 셀 이동 (Ctrl+Home/End: 처음/마지막 셀)
+ * - F2 또는 문자 입력: 편집 시작 (문자 입력 시 기존 값 대체)
+ * - 편집 중 Enter: 저장 후 아래로, Tab: 저장 후 오른쪽으로, Escape: 취소
+ * - Shift+클릭/드래그/Shift+방향키: 셀 범위 선택, Ctrl+A: 전체 셀 선택
+ * - Ctrl+C: 선택 범위를 TSV로 복사, Ctrl+V: 엑셀 등에서 복사한 TSV를 편집 가능 셀에 붙여넣기
+ *   (값은 셀 편집과 같은 타입 검사를 거치며, 한 값을 범위에 붙여넣으면 범위 전체에 채움)
+ * - Ctrl+Z: 실행 취소, Ctrl+Y / Ctrl+Shift+Z: 다시 실행 (historyDepth를 지정했을 때, 이전 값으로 onCellChange 재호출)
+ * - Ctrl+Enter: 상세 패널 펼침/접힘 (renderDetailPanel 사용 시)
+ *
  * 컬럼 설정 Props (통합):
  * - pageName: 페이지 식별자 (컬럼 저장/로드용)
  * - tableName: DB 테이블명
@@ -202,24 +738,152 @@ const DatePickerModal = ({ value, x, y, onSelect, onClose }) => {
  * - defaultFormColumns: 기본 폼 컬럼 정의
  * - onFormConfig: (formColumns, formWidth) => void - 폼 설정 콜백
  * - columnExtender: (columns) => columns - 컬럼 확장 함수 (actions 등 추가)
+ * - columnStore: 컬럼 설정 저장소 (기본 createRestColumnStore(api) - /api/col-def)
+ *   createLocalColumnStore() / createMemoryColumnStore()로 서버 없이 사용 가능, 인터페이스는 columnStore.js 참고
+ * - userName: 컬럼 설정을 저장한 사람 (버전 이력에 기록, 컬럼 설정 모달 이력 탭에서 비교/되돌리기)
+ *
+ * 컬럼 너비 조절 / 순서 변경:
+ * - 헤더 오른쪽 경계 드래그로 너비 조절, 더블클릭 시 내용(헤더 + 렌더링된 셀)에 맞춤
+ * - 컬럼 minWidth (기본 40) / maxWidth 범위로 제한
+ * - pageName / tableName으로 col-def 설정을 불러온 경우에만 컬럼 설정 모달과 같은 col-def API로 저장
+ *   (설정이 없거나 불러오지 못하면 defaultColumns를 서버에 덮어쓰지 않도록 storageKey로 로컬 저장)
+ *   연속된 변경은 1초 동안 모아 한 번에 저장 (저장마다 버전이 생겨 컬럼 설정 모달 이력에서 되돌릴 수 있음)
+ * - 헤더를 드래그해 다른 헤더 앞/뒤에 놓으면 순서 변경 (컬럼 lockPosition: true면 이동 불가, 자리 고정)
+ * - onColumnOrderChange: (fields) => void - 순서 변경 후 전체 컬럼 field 순서
+ * - storageKey: col-def에 저장하지 않을 때 너비/순서 로컬 저장 키 (없으면 저장하지 않음)
+ * - storage: 로컬 저장 어댑터 { getItem, setItem } - 기본 localStorage
+ *
+ * 고정 컬럼:
+ * - 컬럼 pinned: 'left' | 'right' - 가로 스크롤 시 왼쪽/오른쪽에 고정 (컬럼 설정 모달에서 지정, actions 등은 columnExtender에서 지정)
+ *   고정 컬럼이 있으면 체크박스/행 번호 컬럼도 왼쪽에 고정, 고정 영역 경계에 그림자 표시
  *
  * 폼 통합 Props:
  * - enableForm: 폼 기능 활성화 (true면 더블클릭/추가 시 폼 열림)
  * - formTitle: 폼 대화창 제목
  * - onFormSave: 폼 저장 콜백 (formData, isEdit) => Promise
  * - onFormDelete: 폼 삭제 콜백 (data) => Promise
+ *
+ * 서버 데이터 모드 Props:
+ * - dataMode: 'client' (기본, data 전체를 내부에서 정렬/필터/검색/페이징) | 'server'
+ * - onQueryChange: (query) => void - server 모드에서 조회 조건 변경 시 호출
+ *   query = { page, pageSize, sortModel: [{ field, sort: 'asc'|'desc' }], filterValues, filterModel, searchTerm, searchFields }
+ *   호스트는 query로 조회한 행을 data로, 전체 건수를 pagination.totalCount로 전달
+ * - dataUrl: server 모드에서 api.get으로 직접 조회할 URL (응답: { rows, totalCount })
+ *   쿼리 파라미터: page, page_size, sort(field:asc,...), search, search_fields, filters(JSON), filter_model(JSON)
+ * - loading: 로딩 표시 (server 모드에서 호스트가 조회 중일 때)
+ *
+ * 정렬 Props:
+ * - sortModel: 정렬 모델 (controlled) [{ field, sort: 'asc'|'desc' }] - 앞쪽이 우선순위 높음
+ * - onSortModelChange: (sortModel) => void
+ *   헤더 클릭: 단일 정렬 (오름차순 → 내림차순 → 해제), Shift+클릭: 보조 정렬 키 추가
+ *   col-def의 sort_model이 있으면 첫 로드 시 기본 정렬로 적용
+ *   컬럼 type별 비교 (숫자형은 "1,200"도 숫자로, 날짜형은 날짜로, singleSelect는 라벨로)
+ *   컬럼 sortComparator: (a, b, rowA, rowB) => number 로 직접 지정 가능
+ *
+ * 행 그룹 Props:
+ * - groupBy: 그룹 필드 배열 (controlled) ['owner', 'status'] - 앞쪽이 상위 그룹
+ * - onGroupByChange: (groupBy) => void
+ * - enableGrouping: 툴바 그룹 영역 표시 (헤더를 끌어 놓아 그룹 추가, 칩 ✕로 해제, 모두 펼치기/접기)
+ *   그룹 행 클릭: 펼침/접힘, 그룹 행 체크박스: 그룹 전체 선택
+ *   그룹 순서는 정렬 모델에 그룹 필드가 있으면 그 방향, 그룹 안의 행은 현재 정렬 순서
+ *   페이지네이션은 그룹 순서로 나열한 행 기준 (그룹 건수/집계는 필터된 그룹 전체 기준, server 모드는 받은 페이지 기준)
+ *
+ * 집계 (요약 행):
+ * - 컬럼 aggregate: 'sum' | 'avg' | 'min' | 'max' | 'count' | (values, rows) => 값 (컬럼 설정 모달에서도 지정)
+ *   그룹 행과 테이블 하단 고정 요약 행에 셀과 같은 타입 포맷으로 표시
+ * - aggregateScope: 요약 행 집계 대상 - 'auto' (기본, 체크한 행이 있으면 체크한 행, 없으면 필터된 전체 행) | 'filtered' | 'selected'
+ *   server 모드의 필터된 행은 받은 페이지 행
+ *
+ * 상세 패널 (master-detail) Props:
+ * - renderDetailPanel: (row) => ReactNode - 설정 시 펼침 컬럼(▸) 표시, 펼치면 행 아래 전체 너비 패널 (중첩 BlackGrid 가능)
+ * - getDetailPanelHeight: (row) => number | 'auto' - 패널 높이 (가상 스크롤에서는 숫자가 아니면 200)
+ * - detailPanelExpandedRowIds: 펼친 행 id 배열 (controlled)
+ * - onDetailPanelExpandedRowIdsChange: (ids) => void
+ *   키보드: 셀에서 Ctrl+Enter로 펼침/접힘
+ *
+ * 트리 데이터 Props:
+ * - treeData: true면 부모/자식 계층으로 표시 (첫 번째 표시 컬럼에 들여쓰기와 ▸/▾ 토글)
+ * - treeParentField: 부모 행 id 필드 (기본 'parentId', 비어 있으면 최상위)
+ * - getTreeDataPath: (row) => ['본사', '개발팀', '홍길동'] - 설정 시 경로로 부모를 찾음 (마지막 요소가 자기 자신)
+ * - defaultTreeExpanded: 처음에 모든 노드 펼침 (기본 false)
+ * - treeChildrenUrl: 지연 로드 - treeHasChildrenField가 참인 행을 펼칠 때 api.get(`${url}?parent_id=${id}`)으로 하위 행 조회
+ *   (응답: { rows } 또는 배열, 부모 필드가 없는 행은 펼친 행을 부모로)
+ * - treeHasChildrenField: 하위 행이 있는지 나타내는 필드 (기본 'hasChildren')
+ * - onTreeChildrenLoad: (parentRow, rows) => void - 지연 로드한 하위 행 (호스트 data에 합치면 중복 표시하지 않음)
+ *   정렬은 형제끼리, 필터/검색은 일치한 행과 상위 행을 펼쳐서 표시, 페이지네이션은 펼쳐진 행 기준
+ *   행 그룹(groupBy)과 함께 쓸 수 없음 (트리 모드에서는 무시)
+ *
+ * 필터 Props:
+ * - filterModel: 필터 모델 (controlled)
+ *   { items: [{ id, field, operator, value }], logicOperator: 'and' | 'or' }
+ *   operator - 문자열: contains, startsWith, equals, notEquals
+ *              숫자/날짜: equals, notEquals, gt, lt, between (value: [from, to])
+ *              singleSelect: isAnyOf (value: [...]), equals, notEquals
+ *              공통: isEmpty, isNotEmpty
+ * - onFilterModelChange: (filterModel) => void
+ * - enableFilterPanel: 툴바 필터 패널 버튼 표시 (기본 false)
+ *   filterable 컬럼(툴바 빠른 필터)은 테이블에서 숨겨짐 - 컬럼 filterVisible: true면 함께 표시
+ *
+ * 내보내기 Props:
+ * - enableExport: 툴바 내보내기(CSV/Excel) 버튼 표시 (기본 false)
+ * - exportFileName: 내보내기 파일명 (기본: pageTitle || pageName || 'export')
+ *
+ * 가져오기 Props:
+ * - onDataImport: (importedData) => Promise - 설정 시 툴바에 가져오기 버튼 표시
+ *   CSV/XLSX 파일 → 컬럼 매핑(field/headerName 자동 매칭) → 검증 미리보기 → 정상 행만 전달
+ *   importedData: [{ field: 변환된 값 }] (날짜는 YYYY-MM-DD, 숫자는 number, singleSelect는 value)
+ *
+ * Ref API (useRef로 접근):
+ * - exportData({ format: 'csv'|'xlsx', scope: 'all'|'filtered'|'page'|'selected', raw, fileName })
+ *   표시 컬럼의 headerName을 헤더로 사용, raw=false면 valueFormatter/valueOptions 라벨 적용
+ * - undo() / redo(): 편집 실행 취소 / 다시 실행 (Promise<boolean> - 이력이 없으면 false)
+ * - clearHistory(): 편집 이력 초기화 (호스트에서 저장 후 호출)
+ * - saveChanges() / discardChanges() / hasUnsavedChanges(): batch 모드 저장 / 변경 취소 / 미저장 변경 여부
+ *
+ * 저장된 보기 Props:
+ * - enableViews: 툴바에 보기 메뉴 표시 - 필터/빠른 필터/검색/정렬/컬럼 순서·표시·너비/페이지 크기를 이름 붙여 저장
+ *   보기 메뉴: 보기 전환, 새 보기로 저장, 현재 보기에 덮어쓰기, 이름 변경, 기본 보기 설정(첫 로드 시 적용), 삭제
+ *   pageName이 있으면 columnStore.saveViews로 저장 (REST 기본: /api/col-def/views),
+ *   실패 시(오프라인) 또는 pageName이 없으면 storageKey(없으면 pageName)로 로컬 저장
+ *   (저장소에 반영하지 못한 보기는 메뉴에 표시하고, 다음에 저장소에 연결되면 보기 id 기준으로 합쳐 저장)
+ * - pageSizeOptions: 푸터 페이지 크기 선택 [20, 50, 100] - 보기에서 지정한 크기가 pagination.pageSize보다 우선
+ * - onPageSizeChange: (pageSize) => void
+ *
+ * URL 동기화 Props:
+ * - syncWithUrl: true면 빠른 필터/필터 모델/검색어/정렬/페이지를 쿼리 문자열에 반영하고 첫 로드 시 복원
+ *   (initialFilterValues, col-def 기본 정렬, 기본 보기보다 우선)
+ *   History API만 사용 (라우터 무관) - 검색어 입력은 replaceState, 나머지 변경은 pushState로 뒤로/앞으로 이동 지원
+ *   파라미터: q, filters(JSON), filter(JSON), sort(field:asc,...), page - 기본값이면 제거
+ * - urlParamPrefix: 파라미터 접두사 ('orders' → orders_q, orders_sort ...) - 한 페이지에 그리드가 여러 개일 때
+ *   client 모드의 페이지는 호스트가 onPageChange로 pagination.page를 바꿔야 반영
+ *
+ * 가상 스크롤 Props (대용량):
+ * - virtualization: true면 스크롤 영역에 보이는 행(+overscan)만 렌더링 (maxHeight 필요)
+ * - rowHeight: 행 높이(px, 고정) - 기본 28
+ * - overscan: 화면 밖으로 미리 렌더링할 행 수 - 기본 10
  */
-const BlackGrid = ({
+const BlackGrid = forwardRef(({
   data,
   onRowClick,
   onRowDoubleClick,
   onCellChange,
+  onCellsChange,
+  onValidationError,
+  historyDepth = 0,
+  // 일괄 편집
+  editMode = 'cell',
+  onBatchSave,
   onEdit,
   onDelete,
   onAddRow,
   showRowNumber = false,
   showCheckbox = false,
   onSelectionChange,
+  // 행 선택
+  selectionMode = 'multiple',
+  selectionModel,
+  onSelectionModelChange,
+  isRowSelectable,
   maxHeight = null,
   selectedRowId = null,
   // 컬럼 설정 통합
@@ -229,6 +893,10 @@ const BlackGrid = ({
   defaultFormColumns = [],
   onFormConfig,
   columnExtender,
+  onColumnOrderChange,
+  // 컬럼 너비/순서 로컬 저장 (pageName 없을 때)
+  storageKey,
+  storage,
   // 페이지네이션
   pagination = null,
   onPageChange,
@@ -238,36 +906,185 @@ const BlackGrid = ({
   onFormSave,
   onFormDelete,
   // API 클라이언트 (옵션)
-  api = defaultApi,
+  api: apiProp,
+  // 컬럼 설정 저장소 (옵션)
+  columnStore,
+  userName,
   // 초기 필터값 (옵션)
   initialFilterValues = {},
-}) => {
+  // 서버 데이터 모드
+  dataMode = 'client',
+  onQueryChange,
+  dataUrl,
+  loading = false,
+  // 정렬 모델 (controlled)
+  sortModel: sortModelProp,
+  onSortModelChange,
+  // 행 그룹 (controlled)
+  groupBy: groupByProp,
+  onGroupByChange,
+  enableGrouping = false,
+  // 요약 행 집계 대상
+  aggregateScope = 'auto',
+  // 상세 패널 (master-detail)
+  renderDetailPanel,
+  getDetailPanelHeight,
+  detailPanelExpandedRowIds,
+  onDetailPanelExpandedRowIdsChange,
+  // 트리 데이터
+  treeData = false,
+  treeParentField = 'parentId',
+  getTreeDataPath,
+  defaultTreeExpanded = false,
+  treeChildrenUrl,
+  treeHasChildrenField = 'hasChildren',
+  onTreeChildrenLoad,
+  // 필터 모델 (controlled)
+  filterModel: filterModelProp,
+  onFilterModelChange,
+  enableFilterPanel = false,
+  // 가상 스크롤
+  virtualization = false,
+  rowHeight = 28,
+  overscan = 10,
+  // 내보내기
+  enableExport = false,
+  exportFileName,
+  // 가져오기
+  onDataImport,
+  // 저장된 보기
+  enableViews = false,
+  pageSizeOptions,
+  onPageSizeChange,
+  // URL 동기화
+  syncWithUrl = false,
+  urlParamPrefix = '',
+}, ref) => {
+  // URL 쿼리 문자열에서 복원한 상태 (initialFilterValues / 저장된 정렬 / 기본 보기보다 우선)
+  const [urlInitialState] = useState(() =>
+    (syncWithUrl && typeof window !== 'undefined' ? readGridUrlState(window.location.search, urlParamPrefix) : null));
+
   // 컬럼 상태
-  const [columns, setColumns] = useState(defaultColumns);
+  const [columns, setColumns] = useState(() => (storageKey
+    ? applyColumnOrder(defaultColumns, loadLocalState(localStateKey(storageKey), storage)?.order)
+    : defaultColumns));
   const [formColumns, setFormColumns] = useState(defaultFormColumns);
   const [formWidth, setFormWidth] = useState(500);
   const [pageTitle, setPageTitle] = useState('');
   const [rowNumberEnabled, setRowNumberEnabled] = useState(showRowNumber);
   const [checkboxEnabled, setCheckboxEnabled] = useState(showCheckbox);
-  const [selectedRows, setSelectedRows] = useState(new Set());
+  // 선택한 행 id (controlled: selectionModel) - 페이지/필터가 바뀌어도 유지
+  const [internalSelection, setInternalSelection] = useState([]);
+  const selectedRows = useMemo(() => new Set(selectionModel ?? internalSelection), [selectionModel, internalSelection]);
+  // 선택한 행 데이터 (다른 페이지에서 선택해 지금 data에 없는 행도 onSelectionChange에 전달)
+  const selectedRowCacheRef = useRef(new Map());
+  // Shift+클릭 범위 선택 기준 행 (displayData 인덱스)
+  const selectionAnchorRef = useRef(null);
   const [showColumnConfig, setShowColumnConfig] = useState(false);
-  const [filterValues, setFilterValues] = useState(initialFilterValues);
+  const [filterValues, setFilterValues] = useState(urlInitialState?.filterValues ?? initialFilterValues);
   const [isColumnsLoaded, setIsColumnsLoaded] = useState(false);
-  const [searchTerm, setSearchTerm] = useState('');
+  const [searchTerm, setSearchTerm] = useState(urlInitialState?.searchTerm ?? '');
+  const [internalFilterModel, setInternalFilterModel] = useState(urlInitialState?.filterModel ?? { items: [], logicOperator: 'and' });
+  const filterModel = filterModelProp ?? internalFilterModel;
+  const [filterPanel, setFilterPanel] = useState({ visible: false, x: 0, y: 0 });
+  const [exportMenu, setExportMenu] = useState({ visible: false, x: 0, y: 0 });
+  const [showImport, setShowImport] = useState(false);
+  // 조절한 컬럼 너비 { field: px } - 드래그 중이거나 로컬 저장된 값 (col-def 저장 후에는 columns에 반영)
+  const [columnWidths, setColumnWidths] = useState(() =>
+    (storageKey && loadLocalState(localStateKey(storageKey), storage)?.widths) || {});
+  const columnResizeRef = useRef(null);
+  // 헤더 드래그 순서 변경 { field, overField, after }
+  const [columnDrag, setColumnDrag] = useState(null);
+  const suppressHeaderClickRef = useRef(false);
+  // col-def에 저장된 기본 정렬 (너비 저장 시 그대로 유지)
+  const savedSortModelRef = useRef([]);
+  // col-def에서 컬럼 설정을 불러왔는지 (그리드에서 바꾼 너비/순서는 이때만 col-def에 저장)
+  const colDefLoadedRef = useRef(false);
+  // col-def 저장 대기 중인 너비/순서 변경 (scheduleColumnDefsSave)
+  const pendingColDefSaveRef = useRef({ timer: null, columns: null, notes: [], save: null });
+  // 저장된 보기 [{ id, name, state }] / 기본 보기 / 현재 보기
+  const [views, setViews] = useState([]);
+  const [defaultViewId, setDefaultViewId] = useState(null);
+  const [activeViewId, setActiveViewId] = useState(null);
+  const [viewsLoaded, setViewsLoaded] = useState(false);
+  // 저장소 저장에 실패해 로컬에만 저장된 보기가 있는지 (다음 불러오기 때 저장소에 합쳐 저장)
+  const [viewsPendingSync, setViewsPendingSync] = useState(false);
+  const [viewMenu, setViewMenu] = useState({ visible: false, x: 0, y: 0 });
+  const defaultViewAppliedRef = useRef(Boolean(urlInitialState));
+  const viewsStorageKey = storageKey || pageName ? localStateKey(storageKey || pageName) : null;
+  // 보기에서 지정한 페이지 크기 (없으면 pagination.pageSize)
+  const [internalPageSize, setInternalPageSize] = useState(null);
+
+  // 서버 모드 상태
+  const isServerMode = dataMode === 'server';
+  const [serverPage, setServerPage] = useState(urlInitialState?.page || pagination?.page || 1);
+  // URL에서 복원한 페이지 (호스트 pagination.page가 따라올 때까지 유지)
+  const urlPageRef = useRef(urlInitialState?.page ?? null);
+  const [serverRows, setServerRows] = useState([]);
+  const [serverTotal, setServerTotal] = useState(0);
+  const [isFetching, setIsFetching] = useState(false);
+  const [debouncedSearchTerm, setDebouncedSearchTerm] = useState('');
+  const queryCriteriaRef = useRef(null);
+  const fetchSeqRef = useRef(0);
+  const [reloadKey, setReloadKey] = useState(0);
 
   // 폼 상태
   const [showForm, setShowForm] = useState(false);
   const [formEditData, setFormEditData] = useState(null);
 
   // 그리드 상태
-  const [sortConfig, setSortConfig] = useState({ key: null, direction: 'ascending' });
+  const [internalSortModel, setInternalSortModel] = useState(urlInitialState?.sortModel ?? []);
+  const sortModel = sortModelProp ?? internalSortModel;
+  const sortModelLoadedRef = useRef(Boolean(urlInitialState?.sortModel));
+  // 행 그룹 필드 (앞쪽이 상위 그룹) / 펼침 상태 (expanded: 기본 펼침 여부, toggled: 기본과 반대인 그룹 키)
+  const [internalGroupBy, setInternalGroupBy] = useState([]);
+  const groupBy = groupByProp ?? internalGroupBy;
+  const showGroupArea = enableGrouping || groupBy.length > 0;
+  const [groupExpansion, setGroupExpansion] = useState({ expanded: true, toggled: new Set() });
+  // 상세 패널을 펼친 행 id (controlled: detailPanelExpandedRowIds)
+  const [internalExpandedRowIds, setInternalExpandedRowIds] = useState([]);
+  const expandedRowIds = detailPanelExpandedRowIds ?? internalExpandedRowIds;
+  const expandedDetailIds = useMemo(() => new Set(expandedRowIds), [expandedRowIds]);
+  // 트리 펼침 상태 (toggled: 기본 상태와 반대인 노드 id) / 지연 로드한 하위 행 / 노드별 로드 상태
+  const [treeExpansion, setTreeExpansion] = useState({ expanded: defaultTreeExpanded, toggled: new Set() });
+  const [treeLoadedRows, setTreeLoadedRows] = useState([]);
+  const [treeLoadState, setTreeLoadState] = useState({}); // { id: 'loading' | 'loaded' }
   const [editingCell, setEditingCell] = useState({ rowId: null, field: null });
   const [cellValue, setCellValue] = useState('');
+  // 키보드 탐색 활성 셀 (displayData / visibleColumns 기준 인덱스)
+  const [activeCell, setActiveCell] = useState({ rowIndex: 0, colIndex: 0 });
+  const focusActiveCellRef = useRef(false);
+  // 셀 범위 선택 기준 셀 (null이면 활성 셀 하나)
+  const [rangeAnchor, setRangeAnchor] = useState(null);
+  const rangeDraggingRef = useRef(false);
+  // 편집 이력 - 항목은 한 번에 반영된 변경 묶음 [{ rowId, field, oldValue, value }]
+  const [editHistory, setEditHistory] = useState({ undo: [], redo: [] });
+  // 실행 취소/다시 실행 반영 중 (호스트 저장을 기다리는 동안 같은 항목을 다시 반영하지 않도록)
+  const historyReplayingRef = useRef(false);
+  // 검증 오류 셀 { 'rowId:field': message }
+  const [cellErrors, setCellErrors] = useState({});
+  const cellSavingRef = useRef(false);
+  // 일괄 편집 보류 변경
+  const isBatchMode = editMode === 'batch';
+  const [batchChanges, setBatchChanges] = useState(EMPTY_BATCH_CHANGES);
+  const [isBatchSaving, setIsBatchSaving] = useState(false);
+  const newRowSeqRef = useRef(0);
   const [contextMenu, setContextMenu] = useState({ visible: false, x: 0, y: 0, row: null });
   const [datePicker, setDatePicker] = useState({ visible: false, rowId: null, field: null, value: '', x: 0, y: 0 });
   const clickTimer = useRef(null);
   const dateInputRef = useRef(null);
   const tableContainerRef = useRef(null);
+  const tableRef = useRef(null);
+  const theadRef = useRef(null);
+
+  // 가상 스크롤 상태
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+
+  // 데이터 조회용 API 클라이언트 (지정하지 않으면 fetch 기반 기본 클라이언트)
+  const api = apiProp || defaultApi;
+  // 컬럼 설정 저장소 (지정하지 않으면 col-def REST API - api를 지정하지 않았으면 저장소의 기본 클라이언트 사용)
+  const store = useMemo(() => columnStore || createRestColumnStore(apiProp), [columnStore, apiProp]);
 
   // 컬럼 설정 직접 로드 (BlackColumnModal 대신)
   useEffect(() => {
@@ -275,28 +1092,38 @@ const BlackGrid = ({
 
     const loadColumns = async () => {
       try {
-        const result = await api.get(`/api/col-def?page_name=${pageName}&table_name=${tableName}`);
-        if (result.columns && result.columns.length > 0) {
+        const result = await store.load(pageName, tableName);
+        if (result?.columns && result.columns.length > 0) {
           setColumns(result.columns);
+          // 저장된 설정의 너비를 사용 (로컬 저장 너비 무시)
+          setColumnWidths({});
+          colDefLoadedRef.current = true;
+        }
+        if (result?.formColumns) {
+          setFormColumns(result.formColumns);
         }
-        if (result.form_columns) {
-          setFormColumns(result.form_columns);
+        if (result?.formWidth) {
+          setFormWidth(result.formWidth);
         }
-        if (result.form_width) {
-          setFormWidth(result.form_width);
+        if (result?.pageTitle) {
+          setPageTitle(result.pageTitle);
         }
-        if (result.page_title) {
-          setPageTitle(result.page_title);
+        if (result?.showRowNumber !== undefined) {
+          setRowNumberEnabled(!!result.showRowNumber);
         }
-        if (result.show_row_number !== undefined) {
-          setRowNumberEnabled(!!result.show_row_number);
+        if (result?.showCheckbox !== undefined) {
+          setCheckboxEnabled(!!result.showCheckbox);
         }
-        if (result.show_checkbox !== undefined) {
-          setCheckboxEnabled(!!result.show_checkbox);
+        savedSortModelRef.current = Array.isArray(result?.sortModel) ? result.sortModel : [];
+        // 저장된 기본 정렬은 첫 로드 시에만 적용 (모달 닫힘 후 재로드 시 현재 정렬 유지)
+        if (!sortModelLoadedRef.current && Array.isArray(result?.sortModel)) {
+          setInternalSortModel(result.sortModel);
+          if (result.sortModel.length > 0) onSortModelChange?.(result.sortModel);
         }
       } catch (e) {
-        // API 실패 시 defaultColumns 사용
+        // 로드 실패 시 defaultColumns 사용
       }
+      sortModelLoadedRef.current = true;
       setIsColumnsLoaded(true);
     };
 
@@ -311,6 +1138,33 @@ const BlackGrid = ({
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [formColumns, formWidth]);
 
+  // 서버 모드: 호스트가 페이지를 바꾸면 동기화
+  useEffect(() => {
+    if (!isServerMode || !pagination?.page) return;
+    if (urlPageRef.current) {
+      if (pagination.page !== urlPageRef.current) return;
+      urlPageRef.current = null;
+    }
+    setServerPage(pagination.page);
+  }, [isServerMode, pagination?.page]);
+
+  // URL에서 복원한 상태를 controlled props / 호스트 페이지에 알림
+  useEffect(() => {
+    if (!urlInitialState) return;
+    if (sortModelProp !== undefined && urlInitialState.sortModel) onSortModelChange?.(urlInitialState.sortModel);
+    if (filterModelProp !== undefined && urlInitialState.filterModel) onFilterModelChange?.(urlInitialState.filterModel);
+    if (urlInitialState.page) onPageChange?.(urlInitialState.page);
+    // 마운트 시 한 번만 (URL 상태는 첫 렌더에서만 읽음)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // 서버 모드: 검색어 입력 지연 (키 입력마다 조회하지 않도록)
+  useEffect(() => {
+    if (!isServerMode) return;
+    const timer = setTimeout(() => setDebouncedSearchTerm(searchTerm), 300);
+    return () => clearTimeout(timer);
+  }, [isServerMode, searchTerm]);
+
   // 컨텍스트 메뉴 닫기
   useEffect(() => {
     if (!contextMenu.visible) return;
@@ -333,21 +1187,36 @@ const BlackGrid = ({
   const normalizedColumns = useMemo(() => extendedColumns.map(col => ({
     field: col.field,
     headerName: col.headerName || col.field,
-    width: col.width,
+    width: columnWidths[col.field] ?? (col.width && clampColumnWidth(col.width, col, 0)),
+    minWidth: col.minWidth,
+    maxWidth: col.maxWidth,
     type: col.type || 'string',
     editable: col.editable ?? false,
     sortable: col.sortable ?? true,
     filterable: col.filterable ?? false,
+    filterVisible: col.filterVisible ?? false,  // filterable이어도 테이블에 표시
     searchable: col.searchable ?? false,
     visible: col.visible ?? true,
     valueGetter: col.valueGetter,
     valueFormatter: col.valueFormatter,
     renderCell: col.renderCell,
     renderEditCell: col.renderEditCell,  // 커스텀 편집 셀 렌더러
+    lockPosition: col.lockPosition ?? false,  // 헤더 드래그로 순서 변경 불가
+    pinned: col.pinned === 'left' || col.pinned === 'right' ? col.pinned : null,  // 가로 스크롤 시 고정
     editField: col.editField,  // 실제 저장할 필드명 (다른 필드로 매핑)
     valueOptions: col.valueOptions,
+    sortComparator: col.sortComparator,  // 커스텀 정렬 비교 (a, b, rowA, rowB) => number
+    // 검증 규칙 (BlackForm과 동일)
+    required: col.required,
+    min: col.min,
+    max: col.max,
+    maxLength: col.maxLength,
+    pattern: col.pattern,
+    patternMessage: col.patternMessage,
+    validate: col.validate,  // (value, row) => 오류 메시지 | Promise
+    aggregate: col.aggregate,  // 그룹 행 집계 'sum' | 'avg' | 'min' | 'max' | 'count' | (values, rows) => 값
     getActions: col.getActions,
-  })), [extendedColumns]);
+  })), [extendedColumns, columnWidths]);
 
   // 필터 가능한 컬럼
   const filterColumns = useMemo(() =>
@@ -362,20 +1231,157 @@ const BlackGrid = ({
   );
 
   // 표시할 컬럼
-  const visibleColumns = useMemo(() =>
-    normalizedColumns.filter(col => col.visible && !col.filterable),
+  // 표시 컬럼 (왼쪽 고정 → 일반 → 오른쪽 고정 순)
+  const visibleColumns = useMemo(() => {
+    const cols = normalizedColumns.filter(col => col.visible && (!col.filterable || col.filterVisible));
+    return [
+      ...cols.filter(col => col.pinned === 'left'),
+      ...cols.filter(col => !col.pinned),
+      ...cols.filter(col => col.pinned === 'right')
+    ];
+  }, [normalizedColumns]);
+
+  // 고정 셀 { key: 'left' | 'right' } - 고정 컬럼이 있으면 체크박스/상세 펼침/행 번호도 왼쪽 고정
+  const pinned = useMemo(() => {
+    const sides = {};
+    visibleColumns.forEach(col => {
+      if (col.pinned) sides[col.field] = col.pinned;
+    });
+    if (Object.keys(sides).length === 0) return { sides, leftEdge: null, rightEdge: null };
+    const keys = [
+      ...(checkboxEnabled ? [CHECKBOX_KEY] : []),
+      ...(renderDetailPanel ? [EXPANDER_KEY] : []),
+      ...(rowNumberEnabled ? [ROW_NUMBER_KEY] : []),
+      ...visibleColumns.map(col => col.field)
+    ];
+    keys.slice(0, keys.length - visibleColumns.length).forEach(key => { sides[key] = 'left'; });
+    // 그림자 구분선을 표시할 경계 셀
+    return {
+      sides,
+      leftEdge: keys.filter(key => sides[key] === 'left').pop() ?? null,
+      rightEdge: keys.find(key => sides[key] === 'right') ?? null
+    };
+  }, [visibleColumns, checkboxEnabled, rowNumberEnabled, renderDetailPanel]);
+  // 고정 셀 위치 (헤더 셀 너비 누적) { offsets: { key: px }, left: 왼쪽 고정 전체 너비, right }
+  const [pinnedLayout, setPinnedLayout] = useState({ offsets: {}, left: 0, right: 0 });
+
+  // 필터 패널에서 조건을 걸 수 있는 컬럼 (표시 컬럼 + 빠른 필터 컬럼)
+  const filterPanelColumns = useMemo(() =>
+    normalizedColumns.filter(col => col.type !== 'actions' && (col.visible || col.filterable)),
     [normalizedColumns]
   );
 
+  // 적용 중인 필터 조건 (값 입력이 끝난 것만)
+  const activeFilterItems = useMemo(() =>
+    (filterModel.items || []).filter(item => isFilterItemComplete(item) && filterPanelColumns.some(c => c.field === item.field)),
+    [filterModel, filterPanelColumns]
+  );
+
+  // 원본 데이터 (dataUrl 조회 시 서버 응답 행 + 트리에서 지연 로드한 하위 행)
+  const baseData = useMemo(() => {
+    const rows = isServerMode && dataUrl ? serverRows : (data || []);
+    if (treeLoadedRows.length === 0) return rows;
+    // 호스트가 이미 data에 합친 행은 제외
+    const ids = new Set(rows.map(row => row.id));
+    return [...rows, ...treeLoadedRows.filter(row => !ids.has(row.id))];
+  }, [isServerMode, dataUrl, serverRows, data, treeLoadedRows]);
+
+  // batch 모드: 보류 중인 변경을 반영한 행 (추가 행은 맨 위, 삭제 행은 표시만)
+  const sourceData = useMemo(() => {
+    if (!isBatchMode) return baseData;
+    const rows = baseData.map(row => (batchChanges.updated[row.id] ? { ...row, ...batchChanges.updated[row.id].changes } : row));
+    return [...batchChanges.added, ...rows];
+  }, [isBatchMode, baseData, batchChanges]);
+  const addedRowIds = useMemo(() => new Set(batchChanges.added.map(row => row.id)), [batchChanges.added]);
+  const pendingChangeCount = batchChanges.added.length
+    + Object.keys(batchChanges.updated).filter(id => !batchChanges.deleted[id]).length
+    + Object.keys(batchChanges.deleted).length;
+  const hasPendingChanges = isBatchMode && pendingChangeCount > 0;
+
   // 고유 값 추출 (필터용)
-  const getUniqueValues = (field) => {
-    const values = data.map(row => row[field]).filter(v => v != null && v !== '');
+  const getUniqueValues = (col) => {
+    // 서버 모드에서는 현재 페이지 행만 있으므로 valueOptions 우선
+    if (isServerMode && col.valueOptions) {
+      return col.valueOptions.map(opt => (typeof opt === 'object' ? opt.value : opt));
+    }
+    const values = sourceData.map(row => row[col.field]).filter(v => v != null && v !== '');
     return [...new Set(values)].sort();
   };
 
-  // 필터링된 데이터
+  // 서버 조회 조건
+  const pageSize = internalPageSize || pagination?.pageSize || 20;
+  const serverQuery = useMemo(() => {
+    if (!isServerMode) return null;
+    const activeFilters = Object.fromEntries(Object.entries(filterValues).filter(([, v]) => v));
+    return {
+      page: serverPage,
+      pageSize,
+      sortModel,
+      filterValues: activeFilters,
+      filterModel: { items: activeFilterItems.map(({ field, operator, value }) => ({ field, operator, value })), logicOperator: filterModel.logicOperator || 'and' },
+      searchTerm: debouncedSearchTerm,
+      searchFields: debouncedSearchTerm ? searchableColumns.map(col => col.field) : [],
+    };
+  }, [isServerMode, serverPage, pageSize, sortModel, filterValues, activeFilterItems, filterModel.logicOperator, debouncedSearchTerm, searchableColumns]);
+
+  // 서버 모드: 조회 조건 변경 시 onQueryChange 호출 / dataUrl 조회
+  useEffect(() => {
+    if (!serverQuery) return;
+
+    // 정렬/필터/검색이 바뀌면 1페이지부터 다시 조회
+    const criteria = JSON.stringify([serverQuery.sortModel, serverQuery.filterValues, serverQuery.filterModel, serverQuery.searchTerm, serverQuery.searchFields]);
+    const criteriaChanged = queryCriteriaRef.current !== null && queryCriteriaRef.current !== criteria;
+    queryCriteriaRef.current = criteria;
+    if (criteriaChanged && serverQuery.page !== 1) {
+      setServerPage(1);
+      onPageChange?.(1);
+      return;
+    }
+
+    onQueryChange?.(serverQuery);
+    if (!dataUrl) return;
+
+    const fetchRows = async () => {
+      const seq = ++fetchSeqRef.current;
+      const params = new URLSearchParams();
+      params.set('page', serverQuery.page);
+      params.set('page_size', serverQuery.pageSize);
+      if (serverQuery.sortModel.length > 0) {
+        params.set('sort', serverQuery.sortModel.map(s => `${s.field}:${s.sort}`).join(','));
+      }
+      if (serverQuery.searchTerm) {
+        params.set('search', serverQuery.searchTerm);
+        params.set('search_fields', serverQuery.searchFields.join(','));
+      }
+      if (Object.keys(serverQuery.filterValues).length > 0) {
+        params.set('filters', JSON.stringify(serverQuery.filterValues));
+      }
+      if (serverQuery.filterModel.items.length > 0) {
+        params.set('filter_model', JSON.stringify(serverQuery.filterModel));
+      }
+      setIsFetching(true);
+      try {
+        const result = await api.get(`${dataUrl}${dataUrl.includes('?') ? '&' : '?'}${params.toString()}`);
+        // 늦게 도착한 이전 응답은 무시
+        if (seq !== fetchSeqRef.current) return;
+        setServerRows(result.rows ?? result.data ?? []);
+        setServerTotal(result.totalCount ?? result.total_count ?? 0);
+      } catch (e) {
+        console.error('데이터 조회 실패:', e);
+      } finally {
+        if (seq === fetchSeqRef.current) setIsFetching(false);
+      }
+    };
+
+    fetchRows();
+    // 조회 조건이 바뀔 때만 (api / 콜백은 호스트가 렌더마다 새로 만들 수 있어 제외 - 넣으면 렌더마다 다시 조회)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [serverQuery, dataUrl, reloadKey]);
+
+  // 필터링된 데이터 (server 모드는 받은 행 그대로)
   const filteredData = useMemo(() => {
-    let result = data;
+    let result = sourceData;
+    if (isServerMode) return result;
 
     // 필터 적용
     if (Object.keys(filterValues).length > 0) {
@@ -388,6 +1394,9 @@ const BlackGrid = ({
       });
     }
 
+    // 필터 모델 적용
+    result = applyFilterModel(result, { ...filterModel, items: activeFilterItems }, filterPanelColumns);
+
     // 검색 적용
     if (searchTerm && searchableColumns.length > 0) {
       const term = searchTerm.toLowerCase();
@@ -400,38 +1409,446 @@ const BlackGrid = ({
       });
     }
 
+    // 트리: 일치한 행의 상위 행도 포함
+    if (treeData && result.length !== sourceData.length) {
+      const { parentOf } = buildTreeIndex(sourceData, treeParentField, getTreeDataPath);
+      const included = new Set(result);
+      result.forEach(row => {
+        for (let parent = parentOf.get(row); parent && !included.has(parent); parent = parentOf.get(parent)) {
+          included.add(parent);
+        }
+      });
+      result = sourceData.filter(row => included.has(row));
+    }
+
     return result;
-  }, [data, filterValues, filterColumns, searchTerm, searchableColumns]);
+  }, [sourceData, isServerMode, filterValues, filterColumns, filterModel, activeFilterItems, filterPanelColumns, searchTerm, searchableColumns, treeData, treeParentField, getTreeDataPath]);
 
   // 정렬된 데이터
   const sortedData = useMemo(() => {
-    if (!sortConfig.key) return [...filteredData];
-    const col = normalizedColumns.find(c => c.field === sortConfig.key);
+    if (isServerMode || sortModel.length === 0) return [...filteredData];
+    const sorters = sortModel
+      .map(item => ({ ...item, col: normalizedColumns.find(c => c.field === item.field) }))
+      .filter(item => item.col);
     return [...filteredData].sort((a, b) => {
-      let aVal = col?.valueGetter ? col.valueGetter({ row: a, value: a[sortConfig.key] }) : a[sortConfig.key];
-      let bVal = col?.valueGetter ? col.valueGetter({ row: b, value: b[sortConfig.key] }) : b[sortConfig.key];
-      if (aVal == null) return sortConfig.direction === 'ascending' ? 1 : -1;
-      if (bVal == null) return sortConfig.direction === 'ascending' ? -1 : 1;
-      if (typeof aVal === 'string' && typeof bVal === 'string') {
-        return sortConfig.direction === 'ascending' ? aVal.localeCompare(bVal) : bVal.localeCompare(aVal);
-      }
-      if (aVal < bVal) return sortConfig.direction === 'ascending' ? -1 : 1;
-      if (aVal > bVal) return sortConfig.direction === 'ascending' ? 1 : -1;
+      // 우선순위 순서대로 비교, 같으면 다음 키로
+      for (const { field, sort, col } of sorters) {
+        const asc = sort !== 'desc';
+        const aRaw = col.valueGetter ? col.valueGetter({ row: a, value: a[field], field }) : a[field];
+        const bRaw = col.valueGetter ? col.valueGetter({ row: b, value: b[field], field }) : b[field];
+        // 커스텀 비교 함수는 빈 값 처리까지 직접 담당
+        if (col.sortComparator) {
+          const result = col.sortComparator(aRaw, bRaw, a, b);
+          if (result) return asc ? result : -result;
+          continue;
+        }
+        const aVal = getSortValue(aRaw, col);
+        const bVal = getSortValue(bRaw, col);
+        if (aVal == null && bVal == null) continue;
+        if (aVal == null) return asc ? 1 : -1;
+        if (bVal == null) return asc ? -1 : 1;
+        const result = compareValues(aVal, bVal);
+        if (result !== 0) return asc ? result : -result;
+      }
       return 0;
     });
-  }, [filteredData, sortConfig, normalizedColumns]);
-
-  // 페이지네이션 적용된 데이터
-  const displayData = useMemo(() => {
-    if (!pagination) return sortedData;
-    const { page = 1, pageSize = 20 } = pagination;
-    const start = (page - 1) * pageSize;
-    return sortedData.slice(start, start + pageSize);
-  }, [sortedData, pagination]);
-
-  const totalPages = pagination
-    ? Math.ceil((pagination.totalCount ?? sortedData.length) / (pagination.pageSize || 20))
+  }, [filteredData, sortModel, normalizedColumns, isServerMode]);
+
+  // 행 그룹 트리 (client 모드는 필터/정렬된 전체 행, server 모드는 받은 페이지 행 기준)
+  const groupColumns = useMemo(() =>
+    (treeData ? [] : groupBy.map(field => normalizedColumns.find(col => col.field === field)).filter(Boolean)),
+    [treeData, groupBy, normalizedColumns]
+  );
+  const groupTree = useMemo(() =>
+    (groupColumns.length > 0 && sortedData.length > 0 ? buildGroupTree(sortedData, groupColumns, sortModel) : null),
+    [sortedData, groupColumns, sortModel]
+  );
+
+  // 트리 (부모 아래 자식, 형제끼리는 현재 정렬 순서)
+  // rows: 전체 행, visibleRows: 접힌 노드의 하위를 뺀 행, nodes: 행 → { depth, childCount }
+  // 필터/검색 중에는 기본으로 펼쳐서 일치한 행을 표시
+  const isTreeFiltered = treeData && filteredData.length !== sourceData.length;
+  const treeBaseExpanded = isTreeFiltered || treeExpansion.expanded;
+  const treeView = useMemo(() => {
+    if (!treeData) return null;
+    const { childrenOf } = buildTreeIndex(sortedData, treeParentField, getTreeDataPath);
+    const nodes = new Map();
+    const rows = [];
+    const visibleRows = [];
+    const visit = (parent, depth, visible) => (childrenOf.get(parent) || []).forEach(row => {
+      // 순환 참조 방지
+      if (nodes.has(row)) return;
+      nodes.set(row, { depth, childCount: childrenOf.get(row)?.length || 0 });
+      rows.push(row);
+      if (visible) visibleRows.push(row);
+      visit(row, depth + 1, visible && treeBaseExpanded !== treeExpansion.toggled.has(row.id));
+    });
+    visit(null, 0, true);
+    return { rows, visibleRows, nodes };
+  }, [treeData, sortedData, treeParentField, getTreeDataPath, treeBaseExpanded, treeExpansion.toggled]);
+
+  const groupedData = useMemo(() => {
+    if (groupTree) return flattenGroupRows(groupTree);
+    return treeView ? treeView.rows : sortedData;
+  }, [groupTree, treeView, sortedData]);
+  // 목록에 나열되는 행 (트리는 접힌 노드의 하위 제외) - 페이지네이션 기준
+  const listedData = treeView ? treeView.visibleRows : groupedData;
+
+  // 페이지네이션 적용된 데이터 (server 모드는 이미 한 페이지 분량)
+  const pageRows = useMemo(() => {
+    if (isServerMode || !pagination) return listedData;
+    const start = ((pagination.page || 1) - 1) * pageSize;
+    return listedData.slice(start, start + pageSize);
+  }, [listedData, pagination, pageSize, isServerMode]);
+
+  const isGroupExpanded = (key) => groupExpansion.expanded !== groupExpansion.toggled.has(key);
+
+  // 화면 표시 항목 ({ group } 그룹 행 | { row, rowIndex } 데이터 행 | { detail } 상세 패널 행)
+  // displayData는 접히지 않은 데이터 행만 (키보드 탐색/범위 선택 인덱스 기준), rowItemIndexes는 행 → 항목 위치
+  const { displayItems, displayData, rowItemIndexes } = useMemo(() => {
+    const hasDetail = Boolean(renderDetailPanel) && expandedDetailIds.size > 0;
+    if (!groupTree && !hasDetail) {
+      return { displayItems: pageRows.map((row, rowIndex) => ({ row, rowIndex })), displayData: pageRows, rowItemIndexes: null };
+    }
+    const items = [];
+    const rows = [];
+    const indexes = [];
+    const addRow = (row) => {
+      indexes.push(items.length);
+      items.push({ row, rowIndex: rows.length });
+      rows.push(row);
+      if (hasDetail && expandedDetailIds.has(row.id)) items.push({ detail: row });
+    };
+    if (!groupTree) {
+      pageRows.forEach(addRow);
+      return { displayItems: items, displayData: rows, rowItemIndexes: indexes };
+    }
+
+    const onPage = new Set(pageRows);
+    const addGroups = (groups) => groups.forEach(group => {
+      // 현재 페이지에 행이 없는 그룹은 표시하지 않음 (건수/집계는 그룹 전체 기준)
+      if (!group.rows.some(row => onPage.has(row))) return;
+      items.push({ group });
+      if (groupExpansion.expanded === groupExpansion.toggled.has(group.key)) return;
+      if (group.children) {
+        addGroups(group.children);
+        return;
+      }
+      group.rows.forEach(row => {
+        if (onPage.has(row)) addRow(row);
+      });
+    });
+    addGroups(groupTree);
+    return { displayItems: items, displayData: rows, rowItemIndexes: indexes };
+  }, [groupTree, pageRows, groupExpansion, renderDetailPanel, expandedDetailIds]);
+
+  // 집계 라벨 셀 너비 (집계가 없는 앞쪽 컬럼 수, 첫 컬럼부터 집계가 있으면 0 - 라벨을 첫 컬럼 셀 안에 표시)
+  const firstAggregateIndex = visibleColumns.findIndex(col => col.aggregate);
+  const aggregateLabelSpan = firstAggregateIndex < 0 ? visibleColumns.length : firstAggregateIndex;
+
+  // 요약 행 집계 (체크한 행은 필터와 무관하게 전체 데이터에서)
+  const summary = useMemo(() => {
+    const aggregateColumns = visibleColumns.filter(col => col.aggregate);
+    if (aggregateColumns.length === 0) return null;
+    const selectedOnly = aggregateScope === 'selected' || (aggregateScope === 'auto' && selectedRows.size > 0);
+    const rows = selectedOnly ? sourceData.filter(row => selectedRows.has(row.id)) : groupedData;
+    return {
+      selectedOnly,
+      count: rows.length,
+      values: Object.fromEntries(aggregateColumns.map(col => [col.field, formatAggregate(col, rows)]))
+    };
+  }, [visibleColumns, aggregateScope, selectedRows, sourceData, groupedData]);
+  const summaryLabel = summary && (summary.selectedOnly ? `선택 ${summary.count}건` : `전체 ${summary.count}건`);
+  const getItemIndex = (rowIndex) => (rowItemIndexes ? rowItemIndexes[rowIndex] ?? 0 : rowIndex);
+
+  const currentPage = isServerMode ? serverPage : (pagination?.page || 1);
+  const totalCount = isServerMode
+    ? (dataUrl ? serverTotal : (pagination?.totalCount ?? sortedData.length))
+    : sortedData.length;
+  const totalPages = pagination || isServerMode
+    ? Math.ceil((isServerMode ? totalCount : (pagination.totalCount ?? listedData.length)) / pageSize)
     : 1;
+  const isLoading = loading || isFetching;
+
+  // 헤더 체크박스 상태 (현재 페이지의 선택 가능한 행 기준)
+  const pageSelection = useMemo(() => {
+    const selectable = pageRows.filter(row => !isRowSelectable || isRowSelectable(row));
+    const selectedCount = selectable.filter(row => selectedRows.has(row.id)).length;
+    return { selectable: selectable.length, some: selectedCount > 0, all: selectable.length > 0 && selectedCount === selectable.length };
+  }, [pageRows, selectedRows, isRowSelectable]);
+  // 현재 페이지를 모두 선택했을 때 필터된 전체 행 선택 제안 ("검색된 N건 모두 선택", client 모드)
+  const matchingSelection = useMemo(() => {
+    if (isServerMode || selectionMode === 'single' || !pageSelection.all || groupedData.length === pageRows.length) return null;
+    const selectable = groupedData.filter(row => !isRowSelectable || isRowSelectable(row));
+    return selectable.some(row => !selectedRows.has(row.id)) ? { count: selectable.length } : null;
+  }, [isServerMode, selectionMode, pageSelection.all, groupedData, pageRows, selectedRows, isRowSelectable]);
+
+  // 페이지 이동
+  const changePage = (page) => {
+    if (hasPendingChanges && !confirm('저장하지 않은 변경 내용이 있습니다. 페이지를 이동하시겠습니까?')) return;
+    if (isServerMode) setServerPage(page);
+    onPageChange?.(page);
+  };
+
+  // URL 동기화: 상태가 바뀌면 쿼리 문자열에 반영 (History API만 사용 - 라우터 무관)
+  // 검색어 입력은 replaceState, 필터/정렬/페이지 변경은 pushState (뒤로/앞으로 이동 가능)
+  const urlStateRef = useRef(null);
+  useEffect(() => {
+    if (!syncWithUrl) return;
+    // 호스트가 URL의 페이지로 바꾸기 전에는 URL의 페이지 유지
+    if (urlPageRef.current === currentPage) urlPageRef.current = null;
+    const page = urlPageRef.current || currentPage;
+    const state = { filterValues, filterModel: { ...filterModel, items: activeFilterItems }, searchTerm, sortModel, page };
+    const historyKey = JSON.stringify([state.filterValues, state.filterModel, sortModel, page]);
+    const isFirst = urlStateRef.current === null;
+    const searchOnly = urlStateRef.current === historyKey;
+    urlStateRef.current = historyKey;
+
+    const { pathname, search, hash } = window.location;
+    const nextSearch = writeGridUrlState(search, state, urlParamPrefix);
+    if (nextSearch === search) return;
+    const url = `${pathname}${nextSearch}${hash}`;
+    if (isFirst || searchOnly) window.history.replaceState(window.history.state, '', url);
+    else window.history.pushState(window.history.state, '', url);
+  }, [syncWithUrl, urlParamPrefix, filterValues, filterModel, activeFilterItems, searchTerm, sortModel, currentPage]);
+
+  // 뒤로/앞으로 이동: 쿼리 문자열의 상태로 복원 (리스너는 한 번만 등록하고 최신 핸들러를 ref로 호출)
+  const popStateHandlerRef = useRef(null);
+  popStateHandlerRef.current = () => {
+    const state = readGridUrlState(window.location.search, urlParamPrefix) || {};
+    // 조건과 페이지가 함께 바뀌므로 1페이지로 되돌리지 않도록
+    queryCriteriaRef.current = null;
+    setFilterValues(state.filterValues || {});
+    setSearchTerm(state.searchTerm || '');
+    updateSortModel(state.sortModel || []);
+    updateFilterModel(state.filterModel || { items: [], logicOperator: 'and' });
+    const page = state.page || 1;
+    if (page !== currentPage) {
+      if (isServerMode) setServerPage(page);
+      onPageChange?.(page);
+    }
+  };
+
+  useEffect(() => {
+    if (!syncWithUrl) return;
+    const handlePopState = () => popStateHandlerRef.current();
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [syncWithUrl]);
+
+  // 페이지 크기 변경 (1페이지부터)
+  const changePageSize = (size) => {
+    if (size === pageSize) return;
+    setInternalPageSize(size);
+    onPageSizeChange?.(size);
+    if (currentPage !== 1) {
+      if (isServerMode) setServerPage(1);
+      onPageChange?.(1);
+    }
+  };
+
+  // 가상 스크롤: 스크롤 영역 높이 측정
+  useEffect(() => {
+    if (!virtualization) return;
+    const container = tableContainerRef.current;
+    if (!container) return;
+    const measure = () => setViewportHeight(container.clientHeight);
+    measure();
+    if (typeof ResizeObserver !== 'undefined') {
+      const observer = new ResizeObserver(measure);
+      observer.observe(container);
+      return () => observer.disconnect();
+    }
+    window.addEventListener('resize', measure);
+    return () => window.removeEventListener('resize', measure);
+  }, [virtualization]);
+
+  // 가상 스크롤: 항목 위치 (상세 패널이 펼쳐져 있으면 높이를 누적, 없으면 null - 모두 rowHeight)
+  const itemOffsets = useMemo(() => {
+    if (!virtualization || !displayItems.some(item => item.detail)) return null;
+    const offsets = [0];
+    displayItems.forEach(item => {
+      offsets.push(offsets[offsets.length - 1] + (item.detail ? getFixedDetailHeight(getDetailPanelHeight, item.detail) : rowHeight));
+    });
+    return offsets;
+  }, [virtualization, displayItems, rowHeight, getDetailPanelHeight]);
+  const getItemTop = (index) => (itemOffsets ? itemOffsets[index] : index * rowHeight);
+
+  // 가상 스크롤: 렌더링할 행 범위
+  const virtualRange = useMemo(() => {
+    if (!virtualization) return { start: 0, end: displayItems.length };
+    const headerHeight = theadRef.current?.offsetHeight || 0;
+    const bodyScrollTop = Math.max(0, scrollTop - headerHeight);
+    const viewport = viewportHeight || maxHeight || 600;
+    if (itemOffsets) {
+      // 위치가 top 이하인 마지막 항목 (이진 탐색)
+      const findItem = (top) => {
+        let low = 0;
+        let high = displayItems.length - 1;
+        while (low < high) {
+          const mid = Math.ceil((low + high) / 2);
+          if (itemOffsets[mid] <= top) low = mid;
+          else high = mid - 1;
+        }
+        return low;
+      };
+      let start = Math.max(0, findItem(bodyScrollTop) - overscan);
+      start -= start % 2;
+      const end = Math.min(displayItems.length, findItem(bodyScrollTop + viewport) + 1 + overscan);
+      return { start, end };
+    }
+    const visibleCount = Math.ceil(viewport / rowHeight);
+    let start = Math.max(0, Math.floor(bodyScrollTop / rowHeight) - overscan);
+    // 줄무늬(nth-child) 색상이 스크롤 중 바뀌지 않도록 짝수 위치에서 시작
+    start -= start % 2;
+    const end = Math.min(displayItems.length, start + visibleCount + overscan * 2);
+    return { start, end };
+  }, [virtualization, displayItems.length, itemOffsets, scrollTop, viewportHeight, maxHeight, rowHeight, overscan]);
+
+  const totalColSpan = visibleColumns.length + (rowNumberEnabled ? 1 : 0) + (checkboxEnabled ? 1 : 0) + (renderDetailPanel ? 1 : 0);
+  const renderedItems = virtualization ? displayItems.slice(virtualRange.start, virtualRange.end) : displayItems;
+
+  const handleTableScroll = (e) => {
+    if (virtualization) setScrollTop(e.currentTarget.scrollTop);
+  };
+
+  // 활성 셀 (데이터/컬럼 수가 줄어든 경우 범위 안으로)
+  const activeRowIndex = Math.min(activeCell.rowIndex, Math.max(0, displayData.length - 1));
+  const activeColIndex = Math.min(activeCell.colIndex, Math.max(0, visibleColumns.length - 1));
+  // Tab으로 그리드에 들어올 셀 (가상 스크롤로 활성 행이 렌더링되지 않았으면 첫 렌더링 행)
+  const activeItemIndex = getItemIndex(activeRowIndex);
+  const tabStopRowIndex = activeItemIndex >= virtualRange.start && activeItemIndex < virtualRange.end
+    ? activeRowIndex
+    : (renderedItems.find(item => item.row)?.rowIndex ?? 0);
+
+  // 고정 셀 위치 계산 (렌더링 후, 창 크기가 바뀔 때)
+  const measurePinnedLayout = () => {
+    const cells = Array.from(theadRef.current?.rows[0]?.cells || []);
+    const next = { offsets: {}, left: 0, right: 0 };
+    cells.forEach(cell => {
+      const key = cell.dataset.pinKey;
+      if (key && pinned.sides[key] === 'left') {
+        next.offsets[key] = next.left;
+        next.left += cell.offsetWidth;
+      }
+    });
+    cells.reverse().forEach(cell => {
+      const key = cell.dataset.pinKey;
+      if (key && pinned.sides[key] === 'right') {
+        next.offsets[key] = next.right;
+        next.right += cell.offsetWidth;
+      }
+    });
+    setPinnedLayout(prev => (JSON.stringify(prev) === JSON.stringify(next) ? prev : next));
+  };
+
+  // 고정 컬럼 / 너비 / 표시 행이 바뀔 때만 측정 (가상 스크롤 렌더링마다 측정하지 않도록)
+  useLayoutEffect(measurePinnedLayout, [pinned, columnWidths, visibleColumns, displayData]);
+
+  // 창 크기 변경 리스너는 한 번만 등록하고 최신 측정 함수를 ref로 호출
+  const measurePinnedLayoutRef = useRef(measurePinnedLayout);
+  measurePinnedLayoutRef.current = measurePinnedLayout;
+  useEffect(() => {
+    const handleResize = () => measurePinnedLayoutRef.current();
+    window.addEventListener('resize', handleResize);
+    return () => window.removeEventListener('resize', handleResize);
+  }, []);
+
+  // 셀 너비 + 고정 위치 스타일
+  const getCellStyle = (key, width) => {
+    const style = width ? { width: `${width}px`, minWidth: `${width}px` } : {};
+    const side = pinned.sides[key];
+    if (side) style[side] = pinnedLayout.offsets[key] ?? 0;
+    return style;
+  };
+
+  const getPinnedClass = (key) => {
+    if (!pinned.sides[key]) return '';
+    if (key === pinned.leftEdge) return `${styles.pinnedCell} ${styles.pinnedLeftEdge}`;
+    if (key === pinned.rightEdge) return `${styles.pinnedCell} ${styles.pinnedRightEdge}`;
+    return styles.pinnedCell;
+  };
+
+  // 키보드로 활성 셀이 바뀌면 해당 셀에 포커스
+  useEffect(() => {
+    if (!focusActiveCellRef.current || editingCell.rowId != null) return;
+    const container = tableContainerRef.current;
+    if (!container) return;
+    const cell = tableRef.current?.querySelector(`:scope > tbody > tr[data-row-index="${activeRowIndex}"] > td[data-col-index="${activeColIndex}"]`);
+    if (cell) {
+      focusActiveCellRef.current = false;
+      cell.focus();
+      // 고정 헤더에 가려지지 않도록
+      const headerBottom = theadRef.current?.getBoundingClientRect().bottom ?? 0;
+      const cellTop = cell.getBoundingClientRect().top;
+      if (cellTop < headerBottom) container.scrollTop -= headerBottom - cellTop;
+      // 고정 컬럼에 가려지지 않도록
+      if (!pinned.sides[visibleColumns[activeColIndex]?.field]) {
+        const containerLeft = container.getBoundingClientRect().left;
+        const cellRect = cell.getBoundingClientRect();
+        const visibleLeft = containerLeft + pinnedLayout.left;
+        const visibleRight = containerLeft + container.clientWidth - pinnedLayout.right;
+        if (cellRect.left < visibleLeft) container.scrollLeft -= visibleLeft - cellRect.left;
+        else if (cellRect.right > visibleRight) container.scrollLeft += cellRect.right - visibleRight;
+      }
+      return;
+    }
+    // 가상 스크롤: 행이 렌더링되도록 먼저 스크롤 (렌더링 범위가 바뀌면 다시 실행)
+    if (virtualization) {
+      const top = getItemTop(activeItemIndex);
+      container.scrollTop = activeItemIndex < virtualRange.start
+        ? top
+        : top + (theadRef.current?.offsetHeight || 0) + rowHeight - container.clientHeight;
+    }
+  }, [activeCell, activeRowIndex, activeColIndex, editingCell, virtualization, virtualRange.start, rowHeight]);
+
+  // 선택 범위 (기준 셀 ~ 활성 셀 사각형)
+  const cellRange = useMemo(() => {
+    const anchorRow = rangeAnchor ? Math.min(rangeAnchor.rowIndex, Math.max(0, displayData.length - 1)) : activeRowIndex;
+    const anchorCol = rangeAnchor ? Math.min(rangeAnchor.colIndex, Math.max(0, visibleColumns.length - 1)) : activeColIndex;
+    return {
+      top: Math.min(anchorRow, activeRowIndex),
+      bottom: Math.max(anchorRow, activeRowIndex),
+      left: Math.min(anchorCol, activeColIndex),
+      right: Math.max(anchorCol, activeColIndex)
+    };
+  }, [rangeAnchor, activeRowIndex, activeColIndex, displayData.length, visibleColumns.length]);
+  const isMultiCellRange = cellRange.bottom > cellRange.top || cellRange.right > cellRange.left;
+
+  // 드래그 범위 선택 종료
+  useEffect(() => {
+    const handleMouseUp = () => { rangeDraggingRef.current = false; };
+    document.addEventListener('mouseup', handleMouseUp);
+    return () => document.removeEventListener('mouseup', handleMouseUp);
+  }, []);
+
+  // extend: true면 기준 셀을 유지해 범위 확장 (Shift+방향키)
+  const moveActiveCell = (rowIndex, colIndex, extend = false) => {
+    if (displayData.length === 0 || visibleColumns.length === 0) return;
+    if (!extend) setRangeAnchor(null);
+    else if (!rangeAnchor) setRangeAnchor({ rowIndex: activeRowIndex, colIndex: activeColIndex });
+    focusActiveCellRef.current = true;
+    setActiveCell({
+      rowIndex: Math.max(0, Math.min(rowIndex, displayData.length - 1)),
+      colIndex: Math.max(0, Math.min(colIndex, visibleColumns.length - 1))
+    });
+  };
+
+  // Tab 이동 (행 끝에서 다음 행으로), 그리드 끝이면 false
+  const moveActiveCellByTab = (rowIndex, colIndex, backward) => {
+    let nextRow = rowIndex;
+    let nextCol = colIndex + (backward ? -1 : 1);
+    if (nextCol >= visibleColumns.length) {
+      nextCol = 0;
+      nextRow += 1;
+    } else if (nextCol < 0) {
+      nextCol = visibleColumns.length - 1;
+      nextRow -= 1;
+    }
+    if (nextRow < 0 || nextRow >= displayData.length) return false;
+    moveActiveCell(nextRow, nextCol);
+    return true;
+  };
 
   // selectedRowId가 있으면 해당 행으로 스크롤
   useEffect(() => {
@@ -441,130 +1858,670 @@ const BlackGrid = ({
         // 약간의 지연 후 스크롤 (렌더링 완료 후)
         setTimeout(() => {
           const container = tableContainerRef.current;
-          const rows = container?.querySelectorAll('tbody tr');
-          if (rows && rows[rowIndex]) {
-            rows[rowIndex].scrollIntoView({ behavior: 'smooth', block: 'center' });
+          if (!container) return;
+          // 가상 스크롤: 행이 마운트되어 있지 않을 수 있으므로 위치를 계산해서 이동
+          if (virtualization) {
+            const headerHeight = theadRef.current?.offsetHeight || 0;
+            const top = headerHeight + getItemTop(getItemIndex(rowIndex)) - (container.clientHeight - rowHeight) / 2;
+            container.scrollTo({ top: Math.max(0, top), behavior: 'smooth' });
+            return;
+          }
+          const rowEl = tableRef.current?.querySelector(`:scope > tbody > tr[data-row-index="${rowIndex}"]`);
+          if (rowEl) {
+            rowEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
           }
         }, 100);
       }
-    }
-  }, [selectedRowId, displayData]);
+    }
+  }, [selectedRowId, displayData, virtualization, rowHeight]);
+
+  // 정렬 모델 변경 (controlled면 콜백만 호출)
+  const updateSortModel = (nextModel) => {
+    if (sortModelProp === undefined) setInternalSortModel(nextModel);
+    onSortModelChange?.(nextModel);
+  };
+
+  // 정렬 요청 (오름차순 → 내림차순 → 해제, multi면 기존 정렬 키 유지)
+  const requestSort = (field, sortable, multi = false) => {
+    if (sortable === false) return;
+    const current = sortModel.find(item => item.field === field);
+    const nextSort = !current ? 'asc' : current.sort === 'asc' ? 'desc' : null;
+    if (!multi) {
+      updateSortModel(nextSort ? [{ field, sort: nextSort }] : []);
+      return;
+    }
+    if (!current) {
+      updateSortModel([...sortModel, { field, sort: 'asc' }]);
+    } else if (nextSort) {
+      updateSortModel(sortModel.map(item => (item.field === field ? { field, sort: nextSort } : item)));
+    } else {
+      updateSortModel(sortModel.filter(item => item.field !== field));
+    }
+  };
+
+  // 그리드에서 바꾼 컬럼 목록을 col-def에 저장 (컬럼 설정 모달과 같은 형식, 저장할 때마다 버전 생성)
+  const saveColumnDefs = async (nextColumns, note) => {
+    try {
+      await store.save({
+        pageName,
+        tableName,
+        pageTitle,
+        columns: nextColumns,
+        formColumns: formColumns.length > 0 ? formColumns : null,
+        formWidth,
+        showRowNumber: rowNumberEnabled,
+        showCheckbox: checkboxEnabled,
+        sortModel: savedSortModelRef.current,
+        note,
+        savedBy: userName
+      });
+    } catch (e) {
+      console.error('컬럼 설정 저장 실패:', e);
+    }
+  };
+  pendingColDefSaveRef.current.save = saveColumnDefs;
+
+  // 너비/순서 변경은 COL_DEF_SAVE_DELAY 동안 모았다가 한 번에 저장 (드래그할 때마다 버전이 생기지 않도록)
+  const scheduleColumnDefsSave = (nextColumns, note) => {
+    const pending = pendingColDefSaveRef.current;
+    clearTimeout(pending.timer);
+    pending.columns = nextColumns;
+    if (!pending.notes.includes(note)) pending.notes = [...pending.notes, note];
+    pending.timer = setTimeout(() => flushColumnDefsSave(pending), COL_DEF_SAVE_DELAY);
+  };
+
+  // 언마운트 시 모아 둔 변경 저장
+  useEffect(() => {
+    const pending = pendingColDefSaveRef.current;
+    return () => flushColumnDefsSave(pending);
+  }, []);
+
+  // 조절한 컬럼 너비 저장 (col-def 설정을 불러왔으면 col-def API, 아니면 storageKey로 로컬 저장)
+  const persistColumnWidths = (widths) => {
+    if (!colDefLoadedRef.current) {
+      if (storageKey) {
+        const saved = loadLocalState(localStateKey(storageKey), storage);
+        saveLocalState(localStateKey(storageKey), { widths: { ...saved?.widths, ...widths } }, storage);
+      }
+      return;
+    }
+
+    const savedFields = new Set(columns.map(col => col.field));
+    const nextColumns = columns.map(col => (widths[col.field] != null ? { ...col, width: widths[col.field] } : col));
+    setColumns(nextColumns);
+    // col-def 컬럼에 반영한 너비는 제거 (이후 컬럼 설정 모달에서 바꾼 너비가 적용되도록)
+    setColumnWidths(prev => Object.fromEntries(Object.entries(prev).filter(([field]) => !savedFields.has(field))));
+    scheduleColumnDefsSave(nextColumns, '컬럼 너비 변경');
+  };
+
+  // 헤더 드래그로 컬럼 순서 변경 (lockPosition 컬럼은 자리 고정)
+  // (그룹 영역이 있으면 툴바 그룹 영역에 놓아 그룹 추가)
+  const handleHeaderDragStart = (e, col) => {
+    const reorderable = !col.lockPosition && columns.some(c => c.field === col.field);
+    const groupable = showGroupArea && col.type !== 'actions' && !groupBy.includes(col.field);
+    if (columnResizeRef.current || (!reorderable && !groupable)) {
+      e.preventDefault();
+      return;
+    }
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', col.field);
+    setColumnDrag({ field: col.field, pinned: col.pinned, reorderable, groupable, overField: null, after: false });
+  };
+
+  const handleHeaderDragOver = (e, col) => {
+    // 같은 고정 영역(왼쪽/일반/오른쪽) 안에서만 이동
+    if (!columnDrag?.reorderable || col.lockPosition || col.pinned !== columnDrag.pinned || !columns.some(c => c.field === col.field)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    const rect = e.currentTarget.getBoundingClientRect();
+    const after = e.clientX > rect.left + rect.width / 2;
+    if (columnDrag.overField !== col.field || columnDrag.after !== after) {
+      setColumnDrag(prev => ({ ...prev, overField: col.field, after }));
+    }
+  };
+
+  const handleHeaderDrop = (e, col) => {
+    e.preventDefault();
+    const drag = columnDrag;
+    setColumnDrag(null);
+    if (!drag?.reorderable || drag.field === col.field) return;
+
+    const nextColumns = moveColumn(columns, drag.field, col.field, drag.after);
+    const order = nextColumns.map(c => c.field);
+    if (order.every((field, i) => field === columns[i].field)) return;
+    setColumns(nextColumns);
+    onColumnOrderChange?.(order);
+    if (colDefLoadedRef.current) scheduleColumnDefsSave(nextColumns, '컬럼 순서 변경');
+    else if (storageKey) saveLocalState(localStateKey(storageKey), { order }, storage);
+  };
+
+  // 헤더 경계 드래그 시작
+  const handleResizeStart = (e, col) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    columnResizeRef.current = {
+      col,
+      startX: e.clientX,
+      startWidth: e.currentTarget.parentElement.getBoundingClientRect().width,
+      width: null
+    };
+  };
+
+  // 드래그 중 너비 반영, 놓으면 저장
+  useEffect(() => {
+    const handleMouseMove = (e) => {
+      const resize = columnResizeRef.current;
+      if (!resize) return;
+      resize.width = clampColumnWidth(resize.startWidth + e.clientX - resize.startX, resize.col);
+      setColumnWidths(prev => ({ ...prev, [resize.col.field]: resize.width }));
+    };
+    const handleMouseUp = () => {
+      const resize = columnResizeRef.current;
+      if (!resize) return;
+      columnResizeRef.current = null;
+      if (resize.width == null) return;
+      // 드래그를 헤더 위에서 놓으면 발생하는 클릭으로 정렬되지 않도록
+      suppressHeaderClickRef.current = true;
+      setTimeout(() => { suppressHeaderClickRef.current = false; }, 0);
+      persistColumnWidths({ [resize.col.field]: resize.width });
+    };
+    document.addEventListener('mousemove', handleMouseMove);
+    document.addEventListener('mouseup', handleMouseUp);
+    return () => {
+      document.removeEventListener('mousemove', handleMouseMove);
+      document.removeEventListener('mouseup', handleMouseUp);
+    };
+  });
+
+  // 헤더 경계 더블클릭: 헤더와 렌더링된 셀 내용에 맞춰 너비 조절
+  const handleAutoFit = (e, col, colIndex) => {
+    e.stopPropagation();
+    const handle = e.currentTarget;
+    const th = handle.parentElement;
+    const measure = (cell, end) => {
+      const range = document.createRange();
+      range.selectNodeContents(cell);
+      if (end) range.setEndBefore(end);
+      const style = getComputedStyle(cell);
+      return range.getBoundingClientRect().width + parseFloat(style.paddingLeft || 0) + parseFloat(style.paddingRight || 0);
+    };
+    // 상세 패널 안의 중첩 그리드 셀은 제외
+    const cells = tableRef.current?.querySelectorAll(`:scope > tbody > tr > td[data-col-index="${colIndex}"]`) || [];
+    const contentWidth = Array.from(cells).reduce((max, cell) => Math.max(max, measure(cell)), measure(th, handle));
+    const width = clampColumnWidth(Math.ceil(contentWidth) + 2, col);
+    setColumnWidths(prev => ({ ...prev, [col.field]: width }));
+    persistColumnWidths({ [col.field]: width });
+  };
+
+  // 툴바 그룹 영역에 헤더를 놓으면 하위 그룹으로 추가
+  const handleGroupAreaDrop = (e) => {
+    e.preventDefault();
+    const drag = columnDrag;
+    setColumnDrag(null);
+    if (drag?.groupable && !groupBy.includes(drag.field)) updateGroupBy([...groupBy, drag.field]);
+  };
+
+  // 셀 값 계산
+  const getCellValue = (row, col) => {
+    const rawValue = row[col.field];
+    return col.valueGetter ? col.valueGetter({ row, value: rawValue, field: col.field }) : rawValue;
+  };
+
+  // 이벤트 핸들러
+  const handleRowClick = (row) => {
+    if (clickTimer.current) clearTimeout(clickTimer.current);
+    clickTimer.current = setTimeout(() => {
+      if (onRowClick) onRowClick(row);
+    }, 200);
+  };
+
+  const handleCellClick = (e, value, col, row) => {
+    if (isUrl(value)) {
+      e.stopPropagation();
+      window.open(value, '_blank');
+      return;
+    }
+    if (!col.editable && onRowClick) {
+      onRowClick(row);
+    }
+  };
+
+  const handleContextMenu = (e, row) => {
+    if (!onEdit && !onDelete && !isBatchMode) return;
+    e.preventDefault();
+    setContextMenu({ visible: true, x: e.clientX, y: e.clientY, row });
+  };
+
+  const handleContextAction = (action) => {
+    const row = contextMenu.row;
+    setContextMenu({ visible: false, x: 0, y: 0, row: null });
+    if (action === 'edit' && onEdit) onEdit(row);
+    if (action === 'delete' && isBatchMode) toggleBatchRowDeleted(row);
+    else if (action === 'delete' && onDelete) onDelete(row);
+  };
+
+  const handleDoubleClick = (row, field, currentValue, col) => {
+    if (clickTimer.current) {
+      clearTimeout(clickTimer.current);
+      clickTimer.current = null;
+    }
+    // 폼 모드가 활성화된 경우 폼 열기
+    if (enableForm && formColumns.length > 0) {
+      setFormEditData(row);
+      setShowForm(true);
+      return;
+    }
+    if ((isBatchMode || onCellChange || onCellsChange) && col.editable) {
+      startEditing(row, field, toEditValue(currentValue, col));
+    } else if (onRowDoubleClick) {
+      onRowDoubleClick(row);
+    }
+  };
+
+  // 편집용 문자열로 변환
+  const toEditValue = (currentValue, col) => {
+    let initialValue = currentValue;
+    // 날짜 타입: T 이후 시간 부분 제거
+    if ((col.type === 'date' || col.type === 'datetime') && currentValue?.includes?.('T')) {
+      initialValue = currentValue.split('T')[0];
+    }
+    // 숫자 타입: 문자열로 변환 (소수점 이하가 없으면 정수로 표시)
+    if (col.type === 'number' || col.type === 'currency' || col.type === 'integer' || col.type === 'float') {
+      if (currentValue != null) {
+        const num = Number(currentValue);
+        initialValue = Number.isInteger(num) ? String(Math.round(num)) : String(num);
+      } else {
+        initialValue = '';
+      }
+    }
+    return initialValue ?? '';
+  };
+
+  const startEditing = (row, field, initialValue) => {
+    setEditingCell({ rowId: row.id, field });
+    setCellValue(initialValue);
+  };
+
+  // 인라인 편집 가능 여부 (폼 모드에서는 더블클릭 시 폼이 열림)
+  const isInlineEditable = (col) => Boolean((isBatchMode || onCellChange || onCellsChange) && col.editable && !(enableForm && formColumns.length > 0));
+
+  // 셀 마우스 다운: 클릭 셀 활성화, Shift+클릭은 범위 확장, 드래그로 범위 선택
+  const handleCellMouseDown = (e, rowIndex, colIndex) => {
+    if (e.button !== 0 || (e.target !== e.currentTarget && e.target.closest('input, select, textarea, button'))) return;
+    if (e.shiftKey) {
+      e.preventDefault(); // 텍스트 선택 방지
+      if (!rangeAnchor) setRangeAnchor({ rowIndex: activeRowIndex, colIndex: activeColIndex });
+      e.currentTarget.focus();
+    } else {
+      setRangeAnchor({ rowIndex, colIndex });
+      rangeDraggingRef.current = true;
+    }
+    setActiveCell({ rowIndex, colIndex });
+  };
+
+  const handleCellMouseEnter = (rowIndex, colIndex) => {
+    if (!rangeDraggingRef.current) return;
+    window.getSelection()?.removeAllRanges();
+    setActiveCell({ rowIndex, colIndex });
+  };
+
+  const cellErrorKey = (rowId, field) => `${rowId}:${field}`;
+
+  const updateCellError = (rowId, field, message) => {
+    const key = cellErrorKey(rowId, field);
+    setCellErrors(prev => {
+      if (!message && !(key in prev)) return prev;
+      const next = { ...prev };
+      if (message) next[key] = message;
+      else delete next[key];
+      return next;
+    });
+  };
+
+  // 셀 변경 반영 (여러 셀은 onCellsChange 한 번으로, 없으면 셀마다 onCellChange)
+  // record: false면 편집 이력에 남기지 않음 (실행 취소/다시 실행)
+  const commitCellChanges = async (rawChanges, record = true) => {
+    if (rawChanges.length === 0) return;
+    const changes = rawChanges.map(change => ({
+      ...change,
+      oldValue: sourceData.find(row => row.id === change.rowId)?.[change.field]
+    }));
+    if (isBatchMode) {
+      setBatchChanges(prev => applyBatchCellChanges(prev, changes, baseData));
+    } else if (onCellsChange && (changes.length > 1 || !onCellChange)) {
+      await onCellsChange(changes);
+    } else {
+      for (const change of changes) {
+        await onCellChange?.(change.rowId, change.field, change.value);
+      }
+    }
+    // dataUrl 조회 행은 호스트가 data로 돌려주지 않으므로 직접 반영
+    if (!isBatchMode && isServerMode && dataUrl) {
+      setServerRows(prev => prev.map(row => {
+        const rowChanges = changes.filter(change => change.rowId === row.id);
+        if (rowChanges.length === 0) return row;
+        return rowChanges.reduce((acc, change) => ({ ...acc, [change.field]: change.value }), row);
+      }));
+    }
+    if (record && historyDepth > 0) {
+      setEditHistory(prev => ({ undo: [...prev.undo, changes].slice(-historyDepth), redo: [] }));
+    }
+  };
+
+  // 이력 항목을 from → to 스택으로 옮기고 반영 (반영 중이면 무시, 실패하면 이력 원복)
+  const replayHistory = async (from, to, valueKey) => {
+    if (historyReplayingRef.current) return false;
+    const entry = editHistory[from][editHistory[from].length - 1];
+    if (!entry) return false;
+
+    historyReplayingRef.current = true;
+    setEditHistory(prev => (prev[from][prev[from].length - 1] === entry
+      ? { [from]: prev[from].slice(0, -1), [to]: [...prev[to], entry] }
+      : prev));
+    try {
+      await commitCellChanges(entry.map(change => ({ rowId: change.rowId, field: change.field, value: change[valueKey] })), false);
+      return true;
+    } catch (e) {
+      console.error('편집 이력 반영 실패:', e);
+      setEditHistory(prev => (prev[to][prev[to].length - 1] === entry
+        ? { [from]: [...prev[from], entry], [to]: prev[to].slice(0, -1) }
+        : prev));
+      return false;
+    } finally {
+      historyReplayingRef.current = false;
+    }
+  };
+
+  const undo = () => replayHistory('undo', 'redo', 'oldValue');
+
+  const redo = () => replayHistory('redo', 'undo', 'value');
+
+  const clearHistory = () => setEditHistory({ undo: [], redo: [] });
+
+  // batch 모드: 빈 행 추가 (임시 id)
+  const addBatchRow = () => {
+    newRowSeqRef.current += 1;
+    const newRow = { id: `new-${newRowSeqRef.current}` };
+    normalizedColumns.forEach(col => {
+      if (col.type !== 'actions') newRow[col.editField || col.field] = '';
+    });
+    setBatchChanges(prev => ({ ...prev, added: [newRow, ...prev.added] }));
+  };
+
+  // batch 모드: 삭제 표시 / 취소 (추가한 행은 바로 제거)
+  const toggleBatchRowDeleted = (row) => {
+    setBatchChanges(prev => {
+      if (prev.added.some(added => added.id === row.id)) {
+        return { ...prev, added: prev.added.filter(added => added.id !== row.id) };
+      }
+      const deleted = { ...prev.deleted };
+      if (deleted[row.id]) delete deleted[row.id];
+      else deleted[row.id] = prev.updated[row.id]?.row || baseData.find(base => base.id === row.id) || row;
+      return { ...prev, deleted };
+    });
+  };
+
+  const saveChanges = async () => {
+    if (!hasPendingChanges) return true;
+    const payload = {
+      added: batchChanges.added.map(({ id, ...rest }) => rest),
+      updated: Object.entries(batchChanges.updated)
+        .filter(([id]) => !batchChanges.deleted[id])
+        .map(([, entry]) => ({ ...entry.row, ...entry.changes })),
+      deleted: Object.values(batchChanges.deleted)
+    };
+    setIsBatchSaving(true);
+    try {
+      await onBatchSave?.(payload);
+      setBatchChanges(EMPTY_BATCH_CHANGES);
+      clearHistory();
+      if (isServerMode && dataUrl) setReloadKey(key => key + 1);
+      return true;
+    } catch (err) {
+      console.error('일괄 저장 실패:', err);
+      alert('저장 실패: ' + err.message);
+      return false;
+    } finally {
+      setIsBatchSaving(false);
+    }
+  };
+
+  const discardChanges = () => {
+    setBatchChanges(EMPTY_BATCH_CHANGES);
+    setCellErrors({});
+    clearHistory();
+  };
+
+  // 저장하지 않은 변경이 있으면 창 닫기/새로고침 시 확인
+  useEffect(() => {
+    if (!hasPendingChanges) return;
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [hasPendingChanges]);
+
+  // 선택 범위 복사 (TSV, 표시 값 기준 - 숫자는 숫자 그대로)
+  const copyCellRange = () => {
+    const rows = displayData.slice(cellRange.top, cellRange.bottom + 1).map(row => (
+      visibleColumns.slice(cellRange.left, cellRange.right + 1).map(col => (col.type === 'actions' ? '' : getExportValue(row, col, false)))
+    ));
+    return toTsv(rows);
+  };
+
+  // TSV 붙여넣기 (선택 범위 왼쪽 위부터, 편집 불가 셀/형식 오류 값은 제외)
+  const pasteCellRange = async (text) => {
+    let block = parseTsv(text);
+    if (block.length === 0) return;
+    // 값 하나를 범위에 붙여넣으면 범위 전체에 채움
+    if (block.length === 1 && block[0].length === 1 && isMultiCellRange) {
+      block = Array.from({ length: cellRange.bottom - cellRange.top + 1 }, () => (
+        Array.from({ length: cellRange.right - cellRange.left + 1 }, () => block[0][0])
+      ));
+    }
+
+    // 셀별 타입 변환 + 검증 규칙 (오류 셀은 제외하고 빨간 테두리로 표시)
+    const targets = [];
+    block.forEach((values, r) => {
+      const row = displayData[cellRange.top + r];
+      if (!row) return;
+      values.forEach((pasted, c) => {
+        const col = visibleColumns[cellRange.left + c];
+        if (!col || !isInlineEditable(col) || col.renderEditCell) return;
+        targets.push({ row, col, pasted });
+      });
+    });
+    const results = await Promise.all(targets.map(async ({ row, col, pasted }) => {
+      const result = convertByType(pasted, col);
+      const error = result.valid ? await validateValue(result.value, col, row) : result.error;
+      return { row, col, value: result.value, error };
+    }));
+
+    const changes = [];
+    const nextErrors = {};
+    results.forEach(({ row, col, value, error }) => {
+      const saveField = col.editField || col.field;
+      nextErrors[cellErrorKey(row.id, col.field)] = error;
+      if (error) {
+        onValidationError?.({ rowId: row.id, field: saveField, value, message: error });
+        return;
+      }
+      if (String(row[saveField] ?? '') === String(value ?? '')) return;
+      changes.push({ rowId: row.id, field: saveField, value });
+    });
+    setCellErrors(prev => {
+      const next = { ...prev };
+      Object.entries(nextErrors).forEach(([key, error]) => {
+        if (error) next[key] = error;
+        else delete next[key];
+      });
+      return next;
+    });
 
-  // 정렬 요청
-  const requestSort = (field, sortable) => {
-    if (sortable === false) return;
-    setSortConfig(prev => ({
-      key: field,
-      direction: prev.key === field && prev.direction === 'ascending' ? 'descending' : 'ascending'
-    }));
-  };
+    // 붙여넣은 영역을 선택 범위로
+    const lastRow = Math.min(displayData.length - 1, cellRange.top + block.length - 1);
+    const lastCol = Math.min(visibleColumns.length - 1, cellRange.left + Math.max(...block.map(values => values.length)) - 1);
+    setRangeAnchor({ rowIndex: cellRange.top, colIndex: cellRange.left });
+    setActiveCell({ rowIndex: lastRow, colIndex: lastCol });
 
-  // 셀 값 계산
-  const getCellValue = (row, col) => {
-    const rawValue = row[col.field];
-    return col.valueGetter ? col.valueGetter({ row, value: rawValue, field: col.field }) : rawValue;
+    await commitCellChanges(changes);
   };
 
-  // 이벤트 핸들러
-  const handleRowClick = (row) => {
-    if (clickTimer.current) clearTimeout(clickTimer.current);
-    clickTimer.current = setTimeout(() => {
-      if (onRowClick) onRowClick(row);
-    }, 200);
+  // 클립보드: 그리드 셀에 포커스가 있을 때만 (편집 입력은 기본 동작)
+  // (리스너는 한 번만 등록하고 최신 핸들러를 ref로 호출)
+  const isGridCellFocused = () => {
+    const el = document.activeElement;
+    // 상세 패널 안의 중첩 그리드는 각자 처리
+    return el?.tagName === 'TD' && el.closest('table') === tableRef.current;
   };
-
-  const handleCellClick = (e, value, col, row) => {
-    if (isUrl(value)) {
-      e.stopPropagation();
-      window.open(value, '_blank');
-      return;
-    }
-    if (!col.editable && onRowClick) {
-      onRowClick(row);
+  const clipboardHandlersRef = useRef(null);
+  clipboardHandlersRef.current = {
+    copy: (e) => {
+      if (!isGridCellFocused() || displayData.length === 0) return;
+      e.preventDefault();
+      e.clipboardData.setData('text/plain', copyCellRange());
+    },
+    paste: async (event) => {
+      if (!isGridCellFocused() || displayData.length === 0) return;
+      event.preventDefault();
+      try {
+        await pasteCellRange(event.clipboardData.getData('text/plain'));
+      } catch (e) {
+        console.error('붙여넣기 실패:', e);
+      }
     }
   };
 
-  const handleContextMenu = (e, row) => {
-    if (!onEdit && !onDelete) return;
-    e.preventDefault();
-    setContextMenu({ visible: true, x: e.clientX, y: e.clientY, row });
-  };
-
-  const handleContextAction = (action) => {
-    const row = contextMenu.row;
-    setContextMenu({ visible: false, x: 0, y: 0, row: null });
-    if (action === 'edit' && onEdit) onEdit(row);
-    if (action === 'delete' && onDelete) onDelete(row);
-  };
+  useEffect(() => {
+    const handleCopy = (e) => clipboardHandlersRef.current.copy(e);
+    const handlePaste = (e) => clipboardHandlersRef.current.paste(e);
+    document.addEventListener('copy', handleCopy);
+    document.addEventListener('paste', handlePaste);
+    return () => {
+      document.removeEventListener('copy', handleCopy);
+      document.removeEventListener('paste', handlePaste);
+    };
+  }, []);
+
+  // 셀 키보드 탐색 (편집 중이 아닐 때)
+  const handleCellKeyDown = (e, row, col, rowIndex, colIndex) => {
+    // 편집 입력이나 셀 안의 버튼에서 올라온 이벤트는 무시
+    if (e.target !== e.currentTarget) return;
+    const ctrl = e.ctrlKey || e.metaKey;
+    const extend = e.shiftKey;
+    const pageStep = Math.max(1, Math.floor((tableContainerRef.current?.clientHeight || 0) / rowHeight) - 1);
+
+    // Ctrl+Z / Ctrl+Y: 실행 취소 / 다시 실행
+    if (ctrl && (e.key.toLowerCase() === 'z' || e.key.toLowerCase() === 'y')) {
+      e.preventDefault();
+      if (e.key.toLowerCase() === 'y' || e.shiftKey) redo();
+      else undo();
+      return;
+    }
 
-  const handleDoubleClick = (row, field, currentValue, col) => {
-    if (clickTimer.current) {
-      clearTimeout(clickTimer.current);
-      clickTimer.current = null;
+    // Ctrl+A: 전체 셀 선택 (Ctrl+C/V는 copy/paste 이벤트에서 처리)
+    if (ctrl && e.key.toLowerCase() === 'a') {
+      e.preventDefault();
+      setRangeAnchor({ rowIndex: 0, colIndex: 0 });
+      focusActiveCellRef.current = true;
+      setActiveCell({ rowIndex: displayData.length - 1, colIndex: visibleColumns.length - 1 });
+      return;
     }
-    // 폼 모드가 활성화된 경우 폼 열기
-    if (enableForm && formColumns.length > 0) {
-      setFormEditData(row);
-      setShowForm(true);
+
+    // Ctrl+Enter: 상세 패널 펼침/접힘
+    if (ctrl && e.key === 'Enter' && renderDetailPanel) {
+      e.preventDefault();
+      toggleDetailPanel(row.id);
       return;
     }
-    if (onCellChange && col.editable) {
-      let initialValue = currentValue;
-      // 날짜 타입: T 이후 시간 부분 제거
-      if ((col.type === 'date' || col.type === 'datetime') && currentValue?.includes?.('T')) {
-        initialValue = currentValue.split('T')[0];
-      }
-      // 숫자 타입: 문자열로 변환 (소수점 이하가 없으면 정수로 표시)
-      if (col.type === 'number' || col.type === 'currency' || col.type === 'integer' || col.type === 'float') {
-        if (currentValue != null) {
-          const num = Number(currentValue);
-          initialValue = Number.isInteger(num) ? String(Math.round(num)) : String(num);
-        } else {
-          initialValue = '';
-        }
+
+    switch (e.key) {
+      case 'ArrowUp': moveActiveCell(rowIndex - 1, colIndex, extend); break;
+      case 'ArrowDown': moveActiveCell(rowIndex + 1, colIndex, extend); break;
+      case 'ArrowLeft': moveActiveCell(rowIndex, colIndex - 1, extend); break;
+      case 'ArrowRight': moveActiveCell(rowIndex, colIndex + 1, extend); break;
+      case 'Home': moveActiveCell(ctrl ? 0 : rowIndex, 0, extend); break;
+      case 'End': moveActiveCell(ctrl ? displayData.length - 1 : rowIndex, visibleColumns.length - 1, extend); break;
+      case 'PageUp': moveActiveCell(rowIndex - pageStep, colIndex, extend); break;
+      case 'PageDown': moveActiveCell(rowIndex + pageStep, colIndex, extend); break;
+      case 'Enter': moveActiveCell(rowIndex + (e.shiftKey ? -1 : 1), colIndex); break;
+      case 'Tab':
+        // 그리드 끝에서는 기본 동작으로 다음 요소에 포커스
+        if (!moveActiveCellByTab(rowIndex, colIndex, e.shiftKey)) return;
+        break;
+      case 'F2':
+        handleDoubleClick(row, col.field, row[col.field], col);
+        break;
+      default: {
+        // 문자 입력: 엑셀처럼 입력한 문자로 값을 대체하며 편집 시작
+        if (e.key.length !== 1 || ctrl || e.altKey || !isInlineEditable(col)) return;
+        const hasOptionEditor = col.renderEditCell || (col.type === 'singleSelect' && col.valueOptions);
+        startEditing(row, col.field, hasOptionEditor ? toEditValue(row[col.field], col) : e.key);
       }
-      setEditingCell({ rowId: row.id, field });
-      setCellValue(initialValue ?? '');
-    } else if (onRowDoubleClick) {
-      onRowDoubleClick(row);
     }
+    e.preventDefault();
   };
 
   const handleCellSave = async (customValue = null) => {
-    if (editingCell.rowId == null) return;
+    // 비동기 검증 중 blur 등으로 다시 호출되면 무시
+    if (editingCell.rowId == null || cellSavingRef.current) return false;
     const { rowId, field } = editingCell;
     const col = normalizedColumns.find(c => c.field === field);
     const saveField = col?.editField || field;
     let saveValue = customValue !== null ? customValue : cellValue;
-
-    // 타입별 입력 검사
-    if (col?.type === 'date' || col?.type === 'datetime') {
-      const result = validateAndConvertDate(saveValue);
-      if (!result.valid) {
-        alert('날짜 형식이 올바르지 않습니다.\n허용 형식: YYYY-MM-DD 또는 MM-DD');
-        return;
+    const originalRow = sourceData.find(row => row.id === rowId);
+
+    cellSavingRef.current = true;
+    try {
+      // 타입별 입력 검사 + 검증 규칙 (오류 시 편집 상태 유지, 셀에 오류 표시)
+      let error = null;
+      if (col) {
+        const result = convertByType(saveValue, col);
+        saveValue = result.value;
+        error = result.valid ? null : result.error;
       }
-      saveValue = result.value;
-    } else if (col?.type === 'number' || col?.type === 'currency' || col?.type === 'integer' || col?.type === 'float') {
-      const result = validateNumber(saveValue);
-      if (!result.valid) {
-        alert('숫자 형식이 올바르지 않습니다.');
-        return;
+      const originalValue = col?.editField ? originalRow?.[col.editField] : originalRow?.[field];
+      const isChanged = originalRow && String(originalValue) !== String(saveValue);
+      if (!error && isChanged && col) {
+        error = await validateValue(saveValue, col, originalRow);
+      }
+      if (error) {
+        updateCellError(rowId, field, error);
+        onValidationError?.({ rowId, field: saveField, value: saveValue, message: error });
+        return false;
       }
-      saveValue = result.value;
-    }
 
-    const originalRow = data.find(row => row.id === rowId);
-    const originalValue = col?.editField ? originalRow[col.editField] : originalRow[field];
-    if (originalRow && String(originalValue) !== String(saveValue)) {
-      await onCellChange?.(rowId, saveField, saveValue);
+      updateCellError(rowId, field, null);
+      if (isChanged) {
+        await commitCellChanges([{ rowId, field: saveField, value: saveValue }]);
+      }
+      setEditingCell({ rowId: null, field: null });
+      return true;
+    } finally {
+      cellSavingRef.current = false;
     }
+  };
+
+  const cancelEditing = () => {
+    updateCellError(editingCell.rowId, editingCell.field, null);
     setEditingCell({ rowId: null, field: null });
   };
 
-  const handleKeyDown = (e) => {
-    if (e.key === 'Enter') { e.preventDefault(); handleCellSave(); }
-    else if (e.key === 'Escape') setEditingCell({ rowId: null, field: null });
+  // 편집 입력 키 처리: Enter 저장 후 아래로, Tab 저장 후 오른쪽으로, Escape 취소
+  const handleKeyDown = async (e) => {
+    if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      const { key, shiftKey } = e;
+      if (!(await handleCellSave())) return;
+      if (key === 'Enter') moveActiveCell(activeRowIndex + (shiftKey ? -1 : 1), activeColIndex);
+      else if (!moveActiveCellByTab(activeRowIndex, activeColIndex, shiftKey)) moveActiveCell(activeRowIndex, activeColIndex);
+    } else if (e.key === 'Escape') {
+      cancelEditing();
+      moveActiveCell(activeRowIndex, activeColIndex);
+    }
   };
 
   // 폼 핸들러
@@ -597,45 +2554,63 @@ const BlackGrid = ({
   const handleAddRowClick = () => {
     if (enableForm && formColumns.length > 0) {
       handleFormOpen(null);
+    } else if (isBatchMode) {
+      addBatchRow();
     } else if (onAddRow) {
       onAddRow();
     }
   };
 
-  // 체크박스 선택 핸들러
-  const handleRowSelect = (rowId, checked) => {
-    setSelectedRows(prev => {
-      const newSet = new Set(prev);
-      if (checked) {
-        newSet.add(rowId);
-      } else {
-        newSet.delete(rowId);
-      }
-      // 콜백 호출
-      if (onSelectionChange) {
-        const selectedData = data.filter(row => newSet.has(row.id));
-        onSelectionChange(Array.from(newSet), selectedData);
-      }
-      return newSet;
-    });
+  const isSelectable = (row) => !isRowSelectable || isRowSelectable(row);
+
+  // 선택 변경 (controlled면 콜백만 호출)
+  const updateSelection = (nextIds) => {
+    if (selectionModel === undefined) setInternalSelection(nextIds);
+    onSelectionModelChange?.(nextIds);
+    if (onSelectionChange) {
+      const rowsById = new Map(sourceData.map(row => [row.id, row]));
+      onSelectionChange(nextIds, nextIds.map(id => rowsById.get(id) ?? selectedRowCacheRef.current.get(id)).filter(Boolean));
+    }
   };
 
-  // 전체 선택/해제 핸들러 (체크박스용)
-  const handleSelectAll = (checked) => {
-    setSelectedRows(prev => {
-      const newSet = new Set(prev);
+  // 여러 행 선택/해제 핸들러 (전체 선택, 그룹 선택, 범위 선택) - 선택할 수 없는 행은 제외
+  const handleRowsSelect = (rows, checked) => {
+    const next = new Set(selectedRows);
+    rows.filter(isSelectable).forEach(row => {
       if (checked) {
-        displayData.forEach(row => newSet.add(row.id));
+        next.add(row.id);
+        selectedRowCacheRef.current.set(row.id, row);
       } else {
-        displayData.forEach(row => newSet.delete(row.id));
-      }
-      // 콜백 호출
-      if (onSelectionChange) {
-        const selectedData = data.filter(row => newSet.has(row.id));
-        onSelectionChange(Array.from(newSet), selectedData);
+        next.delete(row.id);
+        selectedRowCacheRef.current.delete(row.id);
       }
-      return newSet;
     });
+    updateSelection(Array.from(next));
+  };
+
+  // 체크박스 선택 핸들러 (Shift+클릭: 마지막으로 클릭한 행부터 범위, single 모드: 한 행만)
+  const handleRowSelect = (row, rowIndex, checked, shiftKey) => {
+    if (selectionMode === 'single') {
+      selectedRowCacheRef.current = new Map(checked ? [[row.id, row]] : []);
+      updateSelection(checked ? [row.id] : []);
+      return;
+    }
+    const anchor = selectionAnchorRef.current;
+    selectionAnchorRef.current = rowIndex;
+    if (shiftKey && anchor != null && anchor < displayData.length) {
+      handleRowsSelect(displayData.slice(Math.min(anchor, rowIndex), Math.max(anchor, rowIndex) + 1), checked);
+      return;
+    }
+    handleRowsSelect([row], checked);
+  };
+
+  // 전체 선택/해제 핸들러 (체크박스용, 현재 페이지의 행 - 접힌 그룹의 행 포함)
+  const handleSelectAll = (checked) => handleRowsSelect(pageRows, checked);
+
+  const clearSelection = () => {
+    selectedRowCacheRef.current = new Map();
+    selectionAnchorRef.current = null;
+    updateSelection([]);
   };
 
   // 셀 렌더링
@@ -651,7 +2626,7 @@ const BlackGrid = ({
       // 커스텀 편집 셀 렌더러가 있으면 사용
       if (col.renderEditCell) {
         const onSave = (val) => handleCellSave(val);
-        const onCancel = () => setEditingCell({ rowId: null, field: null });
+        const onCancel = cancelEditing;
         return col.renderEditCell(params, onSave, onCancel);
       }
       if (col.type === 'singleSelect' && col.valueOptions) {
@@ -726,6 +2701,302 @@ const BlackGrid = ({
     return formatByType(value, col.type);
   };
 
+  // 그룹 모델 변경 (controlled면 콜백만 호출)
+  const updateGroupBy = (nextGroupBy) => {
+    if (groupByProp === undefined) setInternalGroupBy(nextGroupBy);
+    onGroupByChange?.(nextGroupBy);
+  };
+
+  const toggleGroup = (key) => {
+    setGroupExpansion(prev => {
+      const toggled = new Set(prev.toggled);
+      if (toggled.has(key)) toggled.delete(key);
+      else toggled.add(key);
+      return { ...prev, toggled };
+    });
+  };
+
+  const setAllGroupsExpanded = (expanded) => setGroupExpansion({ expanded, toggled: new Set() });
+
+  // 트리: 하위 행 지연 로드 (부모 필드가 없는 응답 행은 펼친 행을 부모로)
+  const loadTreeChildren = async (row) => {
+    setTreeLoadState(prev => ({ ...prev, [row.id]: 'loading' }));
+    try {
+      const result = await api.get(`${treeChildrenUrl}${treeChildrenUrl.includes('?') ? '&' : '?'}parent_id=${encodeURIComponent(row.id)}`);
+      const children = (Array.isArray(result) ? result : (result.rows ?? result.data ?? []))
+        .map(child => (getTreeDataPath || child[treeParentField] != null ? child : { ...child, [treeParentField]: row.id }));
+      const childIds = new Set(children.map(child => child.id));
+      setTreeLoadedRows(prev => [...prev.filter(r => !childIds.has(r.id)), ...children]);
+      setTreeLoadState(prev => ({ ...prev, [row.id]: 'loaded' }));
+      onTreeChildrenLoad?.(row, children);
+    } catch (e) {
+      console.error('하위 행 조회 실패:', e);
+      setTreeLoadState(prev => {
+        const next = { ...prev };
+        delete next[row.id];
+        return next;
+      });
+    }
+  };
+
+  const isTreeNodeExpanded = (row) => treeBaseExpanded !== treeExpansion.toggled.has(row.id);
+  // 아직 불러오지 않은 하위 행이 있는 노드
+  const isTreeNodeLazy = (row) => Boolean(treeChildrenUrl && row[treeHasChildrenField] && !treeLoadState[row.id]);
+
+  const toggleTreeNode = (row) => {
+    const lazy = isTreeNodeLazy(row);
+    // 지연 로드 노드는 항상 펼치면서 조회
+    const expanded = lazy || !isTreeNodeExpanded(row);
+    setTreeExpansion(prev => {
+      const toggled = new Set(prev.toggled);
+      if (expanded === treeBaseExpanded) toggled.delete(row.id);
+      else toggled.add(row.id);
+      return { ...prev, toggled };
+    });
+    if (lazy) loadTreeChildren(row);
+  };
+
+  // 트리 셀 (첫 번째 표시 컬럼: 들여쓰기 + 펼침/접힘 토글)
+  const renderTreeCell = (row, content) => {
+    const node = treeView.nodes.get(row);
+    const loading = treeLoadState[row.id] === 'loading';
+    const lazy = isTreeNodeLazy(row);
+    const expandable = node.childCount > 0 || lazy || loading;
+    return (
+      <span className={styles.treeCell} style={{ paddingLeft: `${node.depth * TREE_INDENT}rem` }}>
+        {expandable ? (
+          <button
+            type="button"
+            className={styles.treeToggle}
+            onMouseDown={(e) => e.stopPropagation()}
+            onClick={(e) => {
+              e.stopPropagation();
+              toggleTreeNode(row);
+            }}
+            disabled={loading}
+            aria-expanded={!lazy && !loading && isTreeNodeExpanded(row)}
+          >
+            {loading ? '…' : (!lazy && isTreeNodeExpanded(row) ? '▾' : '▸')}
+          </button>
+        ) : (
+          <span className={styles.treeToggle} />
+        )}
+        {content}
+      </span>
+    );
+  };
+
+  // 상세 패널 펼침/접힘 (controlled면 콜백만 호출)
+  const toggleDetailPanel = (rowId) => {
+    const next = expandedDetailIds.has(rowId) ? expandedRowIds.filter(id => id !== rowId) : [...expandedRowIds, rowId];
+    if (detailPanelExpandedRowIds === undefined) setInternalExpandedRowIds(next);
+    onDetailPanelExpandedRowIdsChange?.(next);
+  };
+
+  // 상세 패널 행 (전체 너비)
+  const renderDetailRow = (row) => {
+    const height = virtualization ? getFixedDetailHeight(getDetailPanelHeight, row) : getDetailPanelHeight?.(row);
+    return (
+      <tr key={`detail:${row.id}`} className={styles.detailRow}>
+        <td colSpan={totalColSpan} className={styles.detailPanelCell}>
+          <div className={styles.detailPanel} style={typeof height === 'number' ? { height } : undefined}>
+            {renderDetailPanel(row)}
+          </div>
+        </td>
+      </tr>
+    );
+  };
+
+  // 그룹 값 표시 (valueOptions 라벨 / valueFormatter / 타입 포맷)
+  const formatGroupValue = ({ value, col, rows }) => {
+    if (value == null || value === '') return '(빈 값)';
+    if (col.valueOptions) {
+      const option = normalizeOptions(col.valueOptions).find(opt => String(opt.value) === String(value));
+      if (option) return option.label;
+    }
+    if (col.valueFormatter) return col.valueFormatter({ value, row: rows[0], field: col.field });
+    return formatByType(value, col.type);
+  };
+
+  // 그룹 헤더 행 (펼침 토글, 그룹 값, 건수, 컬럼 집계)
+  const renderGroupRow = (group) => {
+    const expanded = isGroupExpanded(group.key);
+    const selectableRows = checkboxEnabled ? group.rows.filter(isSelectable) : [];
+    const selectedCount = selectableRows.filter(row => selectedRows.has(row.id)).length;
+    const labelStyle = { paddingLeft: `${0.5 + group.depth * 1.25}rem` };
+    const label = (
+      <>
+        <span className={styles.groupToggle}>{expanded ? '▾' : '▸'}</span>
+        <span className={styles.groupField}>{group.col.headerName}</span>
+        {formatGroupValue(group)}
+        <span className={styles.groupCount}>({group.rows.length}건)</span>
+      </>
+    );
+    return (
+      <tr
+        key={`group:${group.key}`}
+        className={styles.groupRow}
+        style={virtualization ? { height: rowHeight } : undefined}
+        onClick={() => toggleGroup(group.key)}
+        aria-expanded={expanded}
+      >
+        {checkboxEnabled && (
+          <td
+            className={`${styles.checkboxCell} ${getPinnedClass(CHECKBOX_KEY)}`}
+            style={getCellStyle(CHECKBOX_KEY)}
+            onClick={(e) => e.stopPropagation()}
+          >
+            {selectionMode !== 'single' && (
+              <input
+                type="checkbox"
+                checked={selectableRows.length > 0 && selectedCount === selectableRows.length}
+                ref={(el) => { if (el) el.indeterminate = selectedCount > 0 && selectedCount < selectableRows.length; }}
+                onChange={(e) => handleRowsSelect(group.rows, e.target.checked)}
+                disabled={selectableRows.length === 0}
+                className={styles.checkbox}
+                title="그룹 전체 선택"
+              />
+            )}
+          </td>
+        )}
+        {renderDetailPanel && (
+          <td className={`${styles.expanderCell} ${getPinnedClass(EXPANDER_KEY)}`} style={getCellStyle(EXPANDER_KEY)} />
+        )}
+        {rowNumberEnabled && (
+          <td className={`${styles.rowNumberCell} ${getPinnedClass(ROW_NUMBER_KEY)}`} style={getCellStyle(ROW_NUMBER_KEY)} />
+        )}
+        {/* 집계가 없는 앞쪽 컬럼을 합쳐 그룹 라벨 표시 */}
+        {aggregateLabelSpan > 0 && (
+          <td colSpan={aggregateLabelSpan} style={labelStyle}>{label}</td>
+        )}
+        {visibleColumns.slice(aggregateLabelSpan).map((col, index) => (
+          <td
+            key={col.field}
+            className={[
+              styles.groupAggregateCell,
+              NUMBER_TYPES.includes(col.type) ? styles.numberCell : '',
+              getPinnedClass(col.field)
+            ].filter(Boolean).join(' ')}
+            style={getCellStyle(col.field, col.width)}
+            title={col.aggregate ? AGGREGATE_LABELS[col.aggregate] : undefined}
+          >
+            {aggregateLabelSpan === 0 && index === 0 && (
+              <span className={styles.inlineAggregateLabel} style={labelStyle}>{label}</span>
+            )}
+            {col.aggregate ? formatAggregate(col, group.rows) : null}
+          </td>
+        ))}
+      </tr>
+    );
+  };
+
+  // 필터 모델 변경 (controlled면 콜백만 호출)
+  const updateFilterModel = (nextModel) => {
+    if (filterModelProp === undefined) setInternalFilterModel(nextModel);
+    onFilterModelChange?.(nextModel);
+  };
+
+  const toggleFilterPanel = (e) => {
+    if (filterPanel.visible) {
+      setFilterPanel({ visible: false, x: 0, y: 0 });
+      return;
+    }
+    const rect = e.currentTarget.getBoundingClientRect();
+    setFilterPanel({ visible: true, x: rect.right - 600, y: rect.bottom + 4 });
+    // 조건이 없으면 빈 조건 하나로 시작
+    if ((filterModel.items || []).length === 0 && filterPanelColumns.length > 0) {
+      const col = filterPanelColumns[0];
+      const operator = getFilterOperators(col.type)[0];
+      updateFilterModel({ ...filterModel, items: [{ id: Date.now(), field: col.field, operator, value: operator === 'isAnyOf' ? [] : '' }] });
+    }
+  };
+
+  // 필터 칩 라벨 (헤더명 연산자 값)
+  const getFilterChipLabel = (item) => {
+    const col = filterPanelColumns.find(c => c.field === item.field);
+    const operator = FILTER_OPERATORS[item.operator];
+    if (operator.noValue) return `${col.headerName} ${operator.label}`;
+    const formatValue = (v) => {
+      if (col.type === 'singleSelect') {
+        return normalizeOptions(col.valueOptions).find(opt => String(opt.value) === String(v))?.label ?? v;
+      }
+      return formatByType(v, col.type);
+    };
+    let valueText;
+    if (item.operator === 'between') {
+      valueText = `${formatValue(item.value[0]) || ''} ~ ${formatValue(item.value[1]) || ''}`;
+    } else if (item.operator === 'isAnyOf') {
+      valueText = item.value.map(formatValue).join(', ');
+    } else {
+      valueText = formatValue(item.value);
+    }
+    return `${col.headerName} ${operator.label} ${valueText}`;
+  };
+
+  // 필터 패널 선택지 (singleSelect)
+  const getFilterOptions = (col) => (col.valueOptions
+    ? normalizeOptions(col.valueOptions)
+    : getUniqueValues(col).map(v => ({ value: v, label: String(v) })));
+
+  // 내보내기 값 (raw면 원본 값, 아니면 화면 표시 형식)
+  const getExportValue = (row, col, raw) => {
+    const value = getCellValue(row, col);
+    if (value == null) return '';
+    if (raw) return typeof value === 'object' ? JSON.stringify(value) : value;
+    if (col.valueFormatter) {
+      const formatted = col.valueFormatter({ value, row, field: col.field });
+      // JSX를 반환하는 포맷터는 사용할 수 없으므로 기본 포맷으로
+      if (formatted == null || typeof formatted !== 'object') return formatted ?? '';
+    }
+    if (col.valueOptions) {
+      const option = normalizeOptions(col.valueOptions).find(opt => String(opt.value) === String(value));
+      if (option) return option.label;
+    }
+    // 숫자는 엑셀에서 계산할 수 있도록 숫자 그대로
+    if (NUMBER_TYPES.includes(col.type)) {
+      const result = validateNumber(value);
+      return result.valid ? result.value : value;
+    }
+    return formatByType(value, col.type);
+  };
+
+  // 데이터 내보내기 (CSV / XLSX)
+  const exportData = ({ format = 'csv', scope = 'filtered', raw = false, fileName } = {}) => {
+    let rows;
+    switch (scope) {
+      case 'all': rows = sourceData; break;
+      case 'page': rows = pageRows; break;
+      case 'selected': rows = groupedData.filter(row => selectedRows.has(row.id)); break;
+      default: rows = groupedData;
+    }
+    const exportColumns = visibleColumns.filter(col => col.type !== 'actions');
+    exportTable({
+      format,
+      fileName: fileName || exportFileName || pageTitle || pageName || 'export',
+      columns: exportColumns.map(col => ({ header: col.headerName, width: col.width })),
+      rows: rows.map(row => exportColumns.map(col => getExportValue(row, col, raw))),
+    });
+  };
+
+  useImperativeHandle(ref, () => ({
+    exportData,
+    undo,
+    redo,
+    clearHistory,
+    saveChanges,
+    discardChanges,
+    hasUnsavedChanges: () => hasPendingChanges
+  }));
+
+  const toggleExportMenu = (e) => {
+    if (exportMenu.visible) {
+      setExportMenu({ visible: false, x: 0, y: 0 });
+      return;
+    }
+    const rect = e.currentTarget.getBoundingClientRect();
+    setExportMenu({ visible: true, x: rect.right - 200, y: rect.bottom + 4 });
+  };
+
   // 필터 초기화
   const clearFilters = () => {
     setFilterValues({});
@@ -733,7 +3004,180 @@ const BlackGrid = ({
   };
   const hasActiveFilters = Object.values(filterValues).some(v => v) || searchTerm;
 
-  const showToolbar = filterColumns.length > 0 || searchableColumns.length > 0 || onAddRow || enableForm || pageName || pageTitle;
+  // 저장소 보기 불러오기 (저장소에 반영하지 못한 로컬 보기가 있으면 합쳐서 저장소에 다시 저장)
+  const syncStoreViews = async (local) => {
+    const response = await store.loadViews(pageName);
+    let result = { views: response?.views || [], defaultViewId: response?.defaultViewId ?? null };
+    if (local?.viewsPendingSync) {
+      result = mergePendingViews(result, local);
+      await store.saveViews(pageName, result);
+      saveLocalState(viewsStorageKey, { ...result, viewsPendingSync: false, deletedViewIds: [], defaultViewChanged: false }, storage);
+    }
+    return result;
+  };
+
+  // 저장된 보기 불러오기 (pageName이 있으면 저장소, 실패하거나 없으면 로컬 저장)
+  useEffect(() => {
+    if (!enableViews) return;
+    let cancelled = false;
+
+    const loadViews = async () => {
+      const local = viewsStorageKey ? loadLocalState(viewsStorageKey, storage) : null;
+      let result = null;
+      if (pageName && store.loadViews) {
+        try {
+          result = await syncStoreViews(local);
+        } catch (e) {
+          // 오프라인 등 API 실패 시 로컬에 저장한 보기 사용
+          console.error('보기 불러오기 실패 (로컬 보기 사용):', e);
+        }
+      }
+      if (cancelled) return;
+      setViewsPendingSync(!result && Boolean(local?.viewsPendingSync));
+      if (!result) {
+        result = { views: local?.views || [], defaultViewId: local?.defaultViewId ?? null };
+      }
+      setViews(result.views);
+      setDefaultViewId(result.defaultViewId);
+      setViewsLoaded(true);
+    };
+
+    loadViews();
+    return () => { cancelled = true; };
+    // 보기 사용 여부 / 페이지가 바뀔 때만 (syncStoreViews는 렌더마다 새 함수라 제외)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [enableViews, pageName]);
+
+  // 현재 그리드 상태 (보기로 저장하는 값)
+  const captureViewState = () => ({
+    filterValues: Object.fromEntries(Object.entries(filterValues).filter(([, v]) => v)),
+    filterModel,
+    searchTerm,
+    sortModel,
+    columns: columns.filter(col => col.field).map(col => ({
+      field: col.field,
+      visible: col.visible ?? true,
+      width: columnWidths[col.field] ?? col.width ?? null
+    })),
+    pageSize: internalPageSize
+  });
+  const activeView = views.find(view => view.id === activeViewId);
+  const isViewModified = Boolean(activeView) && JSON.stringify(activeView.state) !== JSON.stringify(captureViewState());
+
+  const applyView = (view) => {
+    const state = view.state || {};
+    setFilterValues(state.filterValues || {});
+    updateFilterModel(state.filterModel || { items: [], logicOperator: 'and' });
+    setSearchTerm(state.searchTerm || '');
+    updateSortModel(state.sortModel || []);
+    if (Array.isArray(state.columns)) {
+      setColumns(prev => applyViewColumns(prev, state.columns));
+      setColumnWidths(Object.fromEntries(state.columns.filter(col => col.width).map(col => [col.field, col.width])));
+    }
+    if (state.pageSize) changePageSize(state.pageSize);
+    setActiveViewId(view.id);
+  };
+
+  // 첫 로드 시 기본 보기 적용 (col-def 컬럼을 불러온 뒤)
+  useEffect(() => {
+    if (!viewsLoaded || defaultViewAppliedRef.current || (pageName && tableName && !isColumnsLoaded)) return;
+    defaultViewAppliedRef.current = true;
+    const view = views.find(v => v.id === defaultViewId);
+    if (view) applyView(view);
+    // 보기와 컬럼 설정을 모두 불러온 뒤 한 번만 (defaultViewAppliedRef로 막음, applyView는 렌더마다 새 함수)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [viewsLoaded, isColumnsLoaded]);
+
+  // 보기 목록 저장 (저장소에 저장 실패 시 로컬에 저장하고 동기화 대기로 표시)
+  const persistViews = async (nextViews, nextDefaultViewId) => {
+    setViews(nextViews);
+    setDefaultViewId(nextDefaultViewId);
+    if (!pageName || !store.saveViews) {
+      if (viewsStorageKey) saveLocalState(viewsStorageKey, { views: nextViews, defaultViewId: nextDefaultViewId }, storage);
+      return;
+    }
+
+    const local = loadLocalState(viewsStorageKey, storage);
+    // 저장소에 반영할 로컬 변경 (삭제한 보기 id와 기본 보기 변경 여부는 저장소 보기와 합칠 때 사용)
+    const pendingBefore = local?.viewsPendingSync ? local : {};
+    const pending = {
+      views: nextViews,
+      defaultViewId: nextDefaultViewId,
+      viewsPendingSync: true,
+      deletedViewIds: [
+        ...(pendingBefore.deletedViewIds || []),
+        ...views.filter(view => !nextViews.some(v => v.id === view.id)).map(view => view.id)
+      ],
+      defaultViewChanged: Boolean(pendingBefore.defaultViewChanged) || nextDefaultViewId !== defaultViewId
+    };
+    try {
+      if (local?.viewsPendingSync) {
+        // 이전 변경도 반영되지 않았으면 저장소 보기와 합쳐 저장 (저장소에만 있는 보기 유지)
+        const result = await syncStoreViews(pending);
+        setViews(result.views);
+        setDefaultViewId(result.defaultViewId);
+      } else {
+        await store.saveViews(pageName, { views: nextViews, defaultViewId: nextDefaultViewId });
+      }
+      setViewsPendingSync(false);
+    } catch (e) {
+      console.error('보기 저장 실패 (로컬에 저장):', e);
+      saveLocalState(viewsStorageKey, pending, storage);
+      setViewsPendingSync(true);
+    }
+  };
+
+  const promptViewName = (current = '') => {
+    const name = prompt('보기 이름', current)?.trim();
+    if (!name) return null;
+    if (views.some(view => view.name === name && view.name !== current)) {
+      alert('같은 이름의 보기가 있습니다.');
+      return null;
+    }
+    return name;
+  };
+
+  const viewMenuHandlers = {
+    onSelect: (view) => {
+      applyView(view);
+      setViewMenu({ visible: false, x: 0, y: 0 });
+    },
+    onSaveAs: () => {
+      const name = promptViewName();
+      if (!name) return;
+      const view = { id: `view_${Date.now().toString(36)}`, name, state: captureViewState() };
+      persistViews([...views, view], defaultViewId);
+      setActiveViewId(view.id);
+    },
+    onOverwrite: (view) => {
+      persistViews(views.map(v => (v.id === view.id ? { ...v, state: captureViewState() } : v)), defaultViewId);
+    },
+    onRename: (view) => {
+      const name = promptViewName(view.name);
+      if (!name || name === view.name) return;
+      persistViews(views.map(v => (v.id === view.id ? { ...v, name } : v)), defaultViewId);
+    },
+    onSetDefault: (viewId) => persistViews(views, viewId),
+    onDelete: (view) => {
+      if (!confirm(`"${view.name}" 보기를 삭제하시겠습니까?`)) return;
+      persistViews(views.filter(v => v.id !== view.id), defaultViewId === view.id ? null : defaultViewId);
+      setActiveViewId(null);
+    },
+  };
+
+  const toggleViewMenu = (e) => {
+    if (viewMenu.visible) {
+      setViewMenu({ visible: false, x: 0, y: 0 });
+      return;
+    }
+    const rect = e.currentTarget.getBoundingClientRect();
+    setViewMenu({ visible: true, x: rect.left, y: rect.bottom + 4 });
+  };
+
+  const showHistoryButtons = historyDepth > 0 && Boolean(isBatchMode || onCellChange || onCellsChange);
+  const showToolbar = showHistoryButtons || isBatchMode || filterColumns.length > 0 || searchableColumns.length > 0 || onAddRow || enableForm || pageName || pageTitle || activeFilterItems.length > 0 || onDataImport || showGroupArea || enableViews
+    || (checkboxEnabled && selectedRows.size > 0) || (enableFilterPanel && filterPanelColumns.length > 0)
+    || enableExport;
 
   return (
     <div className={styles.gridWrapper}>
@@ -744,6 +3188,11 @@ const BlackGrid = ({
             {pageTitle && (
               <span className={styles.pageTitle}>{pageTitle}</span>
             )}
+            {enableViews && (
+              <button onClick={toggleViewMenu} className={styles.viewBtn} title="저장된 보기">
+                {activeView ? activeView.name : '보기'}{isViewModified ? ' *' : ''} ▾
+              </button>
+            )}
             {filterColumns.length > 0 && (
               <>
                 {filterColumns.map(col => (
@@ -754,7 +3203,7 @@ const BlackGrid = ({
                       onChange={(e) => setFilterValues(prev => ({ ...prev, [col.field]: e.target.value }))}
                     >
                       <option value="">전체</option>
-                      {getUniqueValues(col.field).map(value => (
+                      {getUniqueValues(col).map(value => (
                         <option key={value} value={value}>{formatByType(value, col.type)}</option>
                       ))}
                     </select>
@@ -765,8 +3214,70 @@ const BlackGrid = ({
                 )}
               </>
             )}
+            {activeFilterItems.length > 0 && (
+              <div className={styles.filterChips}>
+                {activeFilterItems.length > 1 && (
+                  <span className={styles.filterChipLogic}>{filterModel.logicOperator === 'or' ? '또는' : '그리고'}</span>
+                )}
+                {activeFilterItems.map(item => (
+                  <span key={item.id} className={styles.filterChip}>
+                    {getFilterChipLabel(item)}
+                    <button
+                      type="button"
+                      onClick={() => updateFilterModel({ ...filterModel, items: filterModel.items.filter(i => i.id !== item.id) })}
+                      title="조건 삭제"
+                    >✕</button>
+                  </span>
+                ))}
+              </div>
+            )}
+            {showGroupArea && (
+              <div
+                className={`${styles.groupArea} ${columnDrag?.groupable ? styles.groupAreaActive : ''}`}
+                onDragOver={(e) => columnDrag?.groupable && e.preventDefault()}
+                onDrop={handleGroupAreaDrop}
+              >
+                <span className={styles.groupAreaLabel}>그룹</span>
+                {groupColumns.length === 0 && <span className={styles.groupAreaHint}>헤더를 끌어 놓으세요</span>}
+                {groupColumns.map((col, index) => (
+                  <React.Fragment key={col.field}>
+                    {index > 0 && <span className={styles.filterChipLogic}>›</span>}
+                    <span className={styles.filterChip}>
+                      {col.headerName}
+                      <button type="button" onClick={() => updateGroupBy(groupBy.filter(field => field !== col.field))} title="그룹 해제">✕</button>
+                    </span>
+                  </React.Fragment>
+                ))}
+                {groupColumns.length > 0 && (
+                  <>
+                    <button type="button" onClick={() => setAllGroupsExpanded(true)} className={styles.groupExpandBtn} title="모두 펼치기">⊞</button>
+                    <button type="button" onClick={() => setAllGroupsExpanded(false)} className={styles.groupExpandBtn} title="모두 접기">⊟</button>
+                  </>
+                )}
+              </div>
+            )}
+            {checkboxEnabled && selectedRows.size > 0 && (
+              <div className={styles.selectionBadge}>
+                <span>{selectedRows.size}건 선택</span>
+                {matchingSelection && (
+                  <button type="button" onClick={() => handleRowsSelect(groupedData, true)} className={styles.selectAllMatchingBtn}>
+                    검색된 {matchingSelection.count}건 모두 선택
+                  </button>
+                )}
+                <button type="button" onClick={clearSelection} className={styles.clearSelectionBtn} title="선택 해제">✕</button>
+              </div>
+            )}
           </div>
           <div className={styles.toolbarRight}>
+            {enableFilterPanel && filterPanelColumns.length > 0 && (
+              <button
+                onClick={toggleFilterPanel}
+                className={`${styles.filterToggleBtn} ${activeFilterItems.length > 0 ? styles.filterToggleActive : ''}`}
+                title="필터"
+              >
+                필터{activeFilterItems.length > 0 ? ` (${activeFilterItems.length})` : ''}
+              </button>
+            )}
             {searchableColumns.length > 0 && (
               <div className={styles.searchBox}>
                 <input
@@ -781,134 +3292,372 @@ const BlackGrid = ({
                 )}
               </div>
             )}
-            {(onAddRow || enableForm) && (
+            {showHistoryButtons && (
+              <>
+                <button onClick={undo} disabled={editHistory.undo.length === 0} className={styles.historyBtn} title="실행 취소 (Ctrl+Z)">↶</button>
+                <button onClick={redo} disabled={editHistory.redo.length === 0} className={styles.historyBtn} title="다시 실행 (Ctrl+Y)">↷</button>
+              </>
+            )}
+            {enableExport && (
+              <button onClick={toggleExportMenu} className={styles.exportBtn} title="내보내기">⤓</button>
+            )}
+            {onDataImport && (
+              <button onClick={() => setShowImport(true)} className={styles.exportBtn} title="가져오기">⤒</button>
+            )}
+            {isBatchMode && (
+              <>
+                <button onClick={saveChanges} disabled={!hasPendingChanges || isBatchSaving} className={styles.batchSaveBtn}>
+                  {isBatchSaving ? '저장 중...' : `저장${hasPendingChanges ? ` (${pendingChangeCount})` : ''}`}
+                </button>
+                <button
+                  onClick={() => confirm('저장하지 않은 변경 내용을 모두 취소하시겠습니까?') && discardChanges()}
+                  disabled={!hasPendingChanges || isBatchSaving}
+                  className={styles.batchDiscardBtn}
+                >
+                  변경 취소
+                </button>
+              </>
+            )}
+            {(onAddRow || enableForm || isBatchMode) && (
               <button onClick={handleAddRowClick} className={styles.addRowBtn} title="행 추가">＋</button>
             )}
             {pageName && (
-              <button onClick={() => setShowColumnConfig(true)} className={styles.configBtn} title="컬럼 설정">⚙</button>
+              <button onClick={() => { flushColumnDefsSave(pendingColDefSaveRef.current); setShowColumnConfig(true); }} className={styles.configBtn} title="컬럼 설정">⚙</button>
             )}
           </div>
         </div>
       )}
 
       {/* 테이블 */}
-      <div ref={tableContainerRef} className={styles.tableContainer} style={maxHeight ? { maxHeight, overflowY: 'auto' } : {}}>
-        <table className={styles.blackGridTable}>
-          <thead className={styles.stickyHeader}>
+      <div ref={tableContainerRef} className={styles.tableContainer} style={maxHeight ? { maxHeight, overflowY: 'auto' } : {}} onScroll={handleTableScroll}>
+        {isLoading && <div className={styles.loadingOverlay}>불러오는 중...</div>}
+        <table ref={tableRef} className={styles.blackGridTable}>
+          <thead ref={theadRef} className={styles.stickyHeader}>
             <tr>
               {checkboxEnabled && (
-                <th className={styles.checkboxHeader}>
-                  <input
-                    type="checkbox"
-                    checked={displayData.length > 0 && displayData.every(row => selectedRows.has(row.id))}
-                    onChange={(e) => handleSelectAll(e.target.checked)}
-                    className={styles.checkbox}
-                  />
+                <th
+                  data-pin-key={CHECKBOX_KEY}
+                  className={`${styles.checkboxHeader} ${getPinnedClass(CHECKBOX_KEY)}`}
+                  style={getCellStyle(CHECKBOX_KEY)}
+                >
+                  {selectionMode !== 'single' && (
+                    <input
+                      type="checkbox"
+                      checked={pageSelection.all}
+                      ref={(el) => { if (el) el.indeterminate = pageSelection.some && !pageSelection.all; }}
+                      onChange={(e) => handleSelectAll(e.target.checked)}
+                      disabled={pageSelection.selectable === 0}
+                      className={styles.checkbox}
+                      title="현재 페이지 선택"
+                    />
+                  )}
+                </th>
+              )}
+              {renderDetailPanel && (
+                <th
+                  data-pin-key={EXPANDER_KEY}
+                  className={`${styles.expanderCell} ${getPinnedClass(EXPANDER_KEY)}`}
+                  style={getCellStyle(EXPANDER_KEY)}
+                />
+              )}
+              {rowNumberEnabled && (
+                <th
+                  data-pin-key={ROW_NUMBER_KEY}
+                  className={`${styles.rowNumberHeader} ${getPinnedClass(ROW_NUMBER_KEY)}`}
+                  style={getCellStyle(ROW_NUMBER_KEY)}
+                >
+                  #
                 </th>
               )}
-              {rowNumberEnabled && <th className={styles.rowNumberHeader}>#</th>}
-              {visibleColumns.map(col => {
+              {visibleColumns.map((col, colIndex) => {
                 const isNumberType = ['number', 'currency', 'integer', 'float'].includes(col.type);
+                const sortIndex = sortModel.findIndex(item => item.field === col.field);
+                const sortItem = sortModel[sortIndex];
                 return (
                   <th
                     key={col.field}
-                    onClick={() => requestSort(col.field, col.sortable)}
-                    className={`${styles.sortableHeader} ${col.sortable === false ? styles.noSort : ''} ${isNumberType ? styles.numberHeader : ''}`}
-                    style={col.width ? { width: `${col.width}px`, minWidth: `${col.width}px` } : {}}
+                    data-pin-key={col.field}
+                    draggable={!col.lockPosition || showGroupArea}
+                    onDragStart={(e) => handleHeaderDragStart(e, col)}
+                    onDragOver={(e) => handleHeaderDragOver(e, col)}
+                    onDrop={(e) => handleHeaderDrop(e, col)}
+                    onDragEnd={() => setColumnDrag(null)}
+                    onClick={(e) => !suppressHeaderClickRef.current && requestSort(col.field, col.sortable, e.shiftKey)}
+                    title={col.sortable !== false ? 'Shift+클릭: 다중 정렬' : undefined}
+                    className={[
+                      styles.sortableHeader,
+                      col.sortable === false ? styles.noSort : '',
+                      isNumberType ? styles.numberHeader : '',
+                      getPinnedClass(col.field),
+                      columnDrag?.field === col.field ? styles.draggingHeader : '',
+                      columnDrag?.overField === col.field && columnDrag.field !== col.field
+                        ? (columnDrag.after ? styles.dropAfter : styles.dropBefore)
+                        : ''
+                    ].filter(Boolean).join(' ')}
+                    style={getCellStyle(col.field, col.width)}
                   >
                     {col.headerName}
                     {col.sortable !== false && (
                       <span className={styles.sortIndicator}>
-                        {sortConfig.key === col.field ? (sortConfig.direction === 'ascending' ? ' ▲' : ' ▼') : null}
+                        {sortItem ? (sortItem.sort === 'asc' ? ' ▲' : ' ▼') : null}
+                        {sortItem && sortModel.length > 1 && <sup className={styles.sortPriority}>{sortIndex + 1}</sup>}
                       </span>
                     )}
+                    <span
+                      className={styles.resizeHandle}
+                      onMouseDown={(e) => handleResizeStart(e, col)}
+                      onDoubleClick={(e) => handleAutoFit(e, col, colIndex)}
+                      onClick={(e) => e.stopPropagation()}
+                      title="드래그: 너비 조절, 더블클릭: 내용에 맞춤"
+                    />
                   </th>
                 );
               })}
             </tr>
           </thead>
           <tbody>
-            {displayData.length > 0 ? (
-              displayData.map((row, rowIndex) => (
-                <tr
-                  key={row.id || rowIndex}
-                  onClick={() => handleRowClick(row)}
-                  onContextMenu={(e) => handleContextMenu(e, row)}
-                  className={`${row.id === selectedRowId ? styles.selectedRow : ''} ${selectedRows.has(row.id) ? styles.checkedRow : ''}`}
-                >
-                  {checkboxEnabled && (
-                    <td className={styles.checkboxCell} onClick={(e) => e.stopPropagation()}>
-                      <input
-                        type="checkbox"
-                        checked={selectedRows.has(row.id)}
-                        onChange={(e) => handleRowSelect(row.id, e.target.checked)}
-                        className={styles.checkbox}
-                      />
-                    </td>
-                  )}
-                  {rowNumberEnabled && (
-                    <td className={styles.rowNumberCell}>
-                      {pagination ? (pagination.page - 1) * pagination.pageSize + rowIndex + 1 : rowIndex + 1}
-                    </td>
-                  )}
-                  {visibleColumns.map(col => {
-                    const value = getCellValue(row, col);
-                    const isNumberType = ['number', 'currency', 'integer', 'float'].includes(col.type);
-                    const cellClass = [
-                      isUrl(value) ? styles.urlCell : '',
-                      isNumberType ? styles.numberCell : ''
-                    ].filter(Boolean).join(' ');
-                    return (
+            {virtualization && displayItems.length > 0 && (
+              <tr className={styles.virtualSpacer} style={{ height: getItemTop(virtualRange.start) }} aria-hidden="true">
+                <td colSpan={totalColSpan} />
+              </tr>
+            )}
+            {displayItems.length > 0 ? (
+              renderedItems.map(({ group, detail, row, rowIndex }) => {
+                if (group) return renderGroupRow(group);
+                if (detail) return renderDetailRow(detail);
+                return (
+                  <tr
+                    key={row.id || rowIndex}
+                    data-row-index={rowIndex}
+                    style={virtualization ? { height: rowHeight } : undefined}
+                    onClick={() => handleRowClick(row)}
+                    onContextMenu={(e) => handleContextMenu(e, row)}
+                    className={[
+                      row.id === selectedRowId ? styles.selectedRow : '',
+                      selectedRows.has(row.id) ? styles.checkedRow : '',
+                      isBatchMode && addedRowIds.has(row.id) ? styles.addedRow : '',
+                      isBatchMode && batchChanges.deleted[row.id] ? styles.deletedRow : ''
+                    ].filter(Boolean).join(' ')}
+                  >
+                    {checkboxEnabled && (
                       <td
-                        key={col.field}
-                        onClick={(e) => handleCellClick(e, value, col, row)}
-                        onDoubleClick={() => handleDoubleClick(row, col.field, row[col.field], col)}
-                        style={col.width ? { width: `${col.width}px`, minWidth: `${col.width}px` } : {}}
-                        className={cellClass}
+                        className={`${styles.checkboxCell} ${getPinnedClass(CHECKBOX_KEY)}`}
+                        style={getCellStyle(CHECKBOX_KEY)}
+                        onClick={(e) => e.stopPropagation()}
                       >
-                        {renderCellContent(row, col, rowIndex)}
+                        <input
+                          type={selectionMode === 'single' ? 'radio' : 'checkbox'}
+                          checked={selectedRows.has(row.id)}
+                          onChange={(e) => handleRowSelect(row, rowIndex, e.target.checked, e.nativeEvent.shiftKey)}
+                          disabled={!isSelectable(row)}
+                          className={styles.checkbox}
+                        />
                       </td>
-                    );
-                  })}
-                </tr>
-              ))
+                    )}
+                    {renderDetailPanel && (
+                      <td className={`${styles.expanderCell} ${getPinnedClass(EXPANDER_KEY)}`} style={getCellStyle(EXPANDER_KEY)}>
+                        <button
+                          type="button"
+                          className={styles.expanderBtn}
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            toggleDetailPanel(row.id);
+                          }}
+                          aria-expanded={expandedDetailIds.has(row.id)}
+                          title="상세 보기 (Ctrl+Enter)"
+                        >
+                          {expandedDetailIds.has(row.id) ? '▾' : '▸'}
+                        </button>
+                      </td>
+                    )}
+                    {rowNumberEnabled && (
+                      <td className={`${styles.rowNumberCell} ${getPinnedClass(ROW_NUMBER_KEY)}`} style={getCellStyle(ROW_NUMBER_KEY)}>
+                        {pagination || isServerMode ? (currentPage - 1) * pageSize + rowIndex + 1 : rowIndex + 1}
+                      </td>
+                    )}
+                    {visibleColumns.map((col, colIndex) => {
+                      const value = getCellValue(row, col);
+                      const isNumberType = ['number', 'currency', 'integer', 'float'].includes(col.type);
+                      const isActive = rowIndex === activeRowIndex && colIndex === activeColIndex;
+                      const cellError = cellErrors[cellErrorKey(row.id, col.field)];
+                      const isEditing = editingCell.rowId === row.id && editingCell.field === col.field;
+                      const cellClass = [
+                        isUrl(value) ? styles.urlCell : '',
+                        isNumberType ? styles.numberCell : '',
+                        isActive ? styles.activeCell : '',
+                        isBatchMode && batchChanges.updated[row.id]?.changes && (col.editField || col.field) in batchChanges.updated[row.id].changes ? styles.dirtyCell : '',
+                        isMultiCellRange && rowIndex >= cellRange.top && rowIndex <= cellRange.bottom
+                          && colIndex >= cellRange.left && colIndex <= cellRange.right ? styles.rangeCell : '',
+                        cellError ? styles.invalidCell : '',
+                        getPinnedClass(col.field)
+                      ].filter(Boolean).join(' ');
+                      return (
+                        <td
+                          key={col.field}
+                          data-col-index={colIndex}
+                          tabIndex={rowIndex === tabStopRowIndex && colIndex === activeColIndex ? 0 : -1}
+                          onMouseDown={(e) => handleCellMouseDown(e, rowIndex, colIndex)}
+                          onMouseEnter={() => handleCellMouseEnter(rowIndex, colIndex)}
+                          onClick={(e) => handleCellClick(e, value, col, row)}
+                          onKeyDown={(e) => handleCellKeyDown(e, row, col, rowIndex, colIndex)}
+                          onDoubleClick={() => handleDoubleClick(row, col.field, row[col.field], col)}
+                          style={getCellStyle(col.field, col.width)}
+                          className={cellClass}
+                          title={cellError || undefined}
+                        >
+                          {treeView && colIndex === 0
+                            ? renderTreeCell(row, renderCellContent(row, col, rowIndex))
+                            : renderCellContent(row, col, rowIndex)}
+                          {cellError && (isEditing || isActive) && (
+                            <div className={styles.cellErrorTooltip}>{cellError}</div>
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                );
+              })
             ) : (
               <tr>
-                <td colSpan={visibleColumns.length + (rowNumberEnabled ? 1 : 0) + (checkboxEnabled ? 1 : 0)} className={styles.noData}>
-                  검색된 데이터 없음
+                <td colSpan={totalColSpan} className={styles.noData}>
+                  {isLoading ? '' : '검색된 데이터 없음'}
                 </td>
               </tr>
             )}
+            {virtualization && displayItems.length > 0 && (
+              <tr className={styles.virtualSpacer} style={{ height: getItemTop(displayItems.length) - getItemTop(virtualRange.end) }} aria-hidden="true">
+                <td colSpan={totalColSpan} />
+              </tr>
+            )}
           </tbody>
+          {summary && (
+            <tfoot className={styles.summaryFooter}>
+              <tr>
+                {checkboxEnabled && (
+                  <td className={`${styles.checkboxCell} ${getPinnedClass(CHECKBOX_KEY)}`} style={getCellStyle(CHECKBOX_KEY)} />
+                )}
+                {renderDetailPanel && (
+                  <td className={`${styles.expanderCell} ${getPinnedClass(EXPANDER_KEY)}`} style={getCellStyle(EXPANDER_KEY)} />
+                )}
+                {rowNumberEnabled && (
+                  <td className={`${styles.rowNumberCell} ${getPinnedClass(ROW_NUMBER_KEY)}`} style={getCellStyle(ROW_NUMBER_KEY)} />
+                )}
+                {aggregateLabelSpan > 0 && (
+                  <td colSpan={aggregateLabelSpan} className={styles.summaryLabel}>{summaryLabel}</td>
+                )}
+                {visibleColumns.slice(aggregateLabelSpan).map((col, index) => (
+                  <td
+                    key={col.field}
+                    className={[
+                      NUMBER_TYPES.includes(col.type) ? styles.numberCell : '',
+                      getPinnedClass(col.field)
+                    ].filter(Boolean).join(' ')}
+                    style={getCellStyle(col.field, col.width)}
+                  >
+                    {aggregateLabelSpan === 0 && index === 0 && (
+                      <span className={`${styles.inlineAggregateLabel} ${styles.summaryLabel}`}>{summaryLabel}</span>
+                    )}
+                    {typeof col.aggregate === 'string' && (
+                      <span className={styles.aggregateLabel}>{AGGREGATE_LABELS[col.aggregate]}</span>
+                    )}
+                    {summary.values[col.field]}
+                  </td>
+                ))}
+              </tr>
+            </tfoot>
+          )}
         </table>
       </div>
 
       {/* 푸터 */}
-      {pagination && (
+      {(pagination || isServerMode) && (
         <div className={styles.gridFooter}>
           <div className={styles.footerLeft}>
             {totalPages > 1 && (
               <div className={styles.pagination}>
-                <button onClick={() => onPageChange?.(1)} disabled={pagination.page <= 1} className={styles.pageBtn}>«</button>
-                <button onClick={() => onPageChange?.(pagination.page - 1)} disabled={pagination.page <= 1} className={styles.pageBtn}>‹</button>
-                <span className={styles.pageInfo}>{pagination.page} / {totalPages}</span>
-                <button onClick={() => onPageChange?.(pagination.page + 1)} disabled={pagination.page >= totalPages} className={styles.pageBtn}>›</button>
-                <button onClick={() => onPageChange?.(totalPages)} disabled={pagination.page >= totalPages} className={styles.pageBtn}>»</button>
+                <button onClick={() => changePage(1)} disabled={currentPage <= 1} className={styles.pageBtn}>«</button>
+                <button onClick={() => changePage(currentPage - 1)} disabled={currentPage <= 1} className={styles.pageBtn}>‹</button>
+                <span className={styles.pageInfo}>{currentPage} / {totalPages}</span>
+                <button onClick={() => changePage(currentPage + 1)} disabled={currentPage >= totalPages} className={styles.pageBtn}>›</button>
+                <button onClick={() => changePage(totalPages)} disabled={currentPage >= totalPages} className={styles.pageBtn}>»</button>
               </div>
             )}
-            <span className={styles.totalCount}>{sortedData.length}건</span>
+            <span className={styles.totalCount}>{totalCount}건</span>
+            {pageSizeOptions?.length > 0 && (
+              <select value={pageSize} onChange={(e) => changePageSize(Number(e.target.value))} className={styles.pageSizeSelect}>
+                {[...new Set([...pageSizeOptions, pageSize])].sort((a, b) => a - b).map(size => (
+                  <option key={size} value={size}>{size}건씩</option>
+                ))}
+              </select>
+            )}
           </div>
         </div>
       )}
 
       {/* 컨텍스트 메뉴 */}
-      {contextMenu.visible && (onEdit || onDelete) && (
+      {contextMenu.visible && (onEdit || onDelete || isBatchMode) && (
         <div className={styles.contextMenu} style={{ top: contextMenu.y, left: contextMenu.x }} onClick={(e) => e.stopPropagation()}>
           {onEdit && <button className={styles.contextMenuItem} onClick={() => handleContextAction('edit')}>수정</button>}
-          {onDelete && <button className={`${styles.contextMenuItem} ${styles.deleteItem}`} onClick={() => handleContextAction('delete')}>삭제</button>}
+          {(onDelete || isBatchMode) && (
+            <button className={`${styles.contextMenuItem} ${styles.deleteItem}`} onClick={() => handleContextAction('delete')}>
+              {isBatchMode && batchChanges.deleted[contextMenu.row?.id] ? '삭제 취소' : '삭제'}
+            </button>
+          )}
         </div>
       )}
 
+      {/* 필터 패널 */}
+      {filterPanel.visible && (
+        <FilterPanel
+          columns={filterPanelColumns}
+          filterModel={filterModel}
+          x={filterPanel.x}
+          y={filterPanel.y}
+          getOptions={getFilterOptions}
+          onChange={updateFilterModel}
+          onClose={() => setFilterPanel({ visible: false, x: 0, y: 0 })}
+        />
+      )}
+
+      {/* 내보내기 메뉴 */}
+      {exportMenu.visible && (
+        <ExportMenu
+          x={exportMenu.x}
+          y={exportMenu.y}
+          selectedCount={selectedRows.size}
+          onExport={(options) => {
+            setExportMenu({ visible: false, x: 0, y: 0 });
+            exportData(options);
+          }}
+          onClose={() => setExportMenu({ visible: false, x: 0, y: 0 })}
+        />
+      )}
+
+      {/* 저장된 보기 메뉴 */}
+      {viewMenu.visible && (
+        <ViewMenu
+          x={viewMenu.x}
+          y={viewMenu.y}
+          views={views}
+          activeViewId={activeViewId}
+          defaultViewId={defaultViewId}
+          isModified={isViewModified}
+          pendingSync={viewsPendingSync}
+          {...viewMenuHandlers}
+          onClose={() => setViewMenu({ visible: false, x: 0, y: 0 })}
+        />
+      )}
+
+      {/* 가져오기 모달 */}
+      {onDataImport && (
+        <BlackImportModal
+          isOpen={showImport}
+          onClose={() => setShowImport(false)}
+          columns={normalizedColumns}
+          onDataImport={onDataImport}
+        />
+      )}
+
       {/* 날짜 선택 모달 */}
       {datePicker.visible && (
         <DatePickerModal
@@ -937,9 +3686,11 @@ const BlackGrid = ({
           pageName={pageName}
           tableName={tableName}
           defaultColumns={columns}
+          currentSortModel={sortModel}
           onSave={setColumns}
           onFormColumnsSave={setFormColumns}
-          api={api}
+          columnStore={store}
+          userName={userName}
         />
       )}
 
@@ -958,6 +3709,8 @@ const BlackGrid = ({
       )}
     </div>
   );
-};
+});
+
+BlackGrid.displayName = 'BlackGrid';
 
 export default BlackGrid;
@@ -0,0 +1,306 @@
+'use client';
+
+import React, { useState, useMemo, useEffect } from 'react';
+import { readSpreadsheetFile } from './gridImport';
+import { exportTable } from './gridExport';
+import { convertByType, validateValue } from './gridUtils';
+import styles from './BlackImportModal.module.css';
+
+// 비교용 이름 정규화 (대소문자/공백/밑줄 무시)
+const normalizeName = (name) => String(name ?? '').toLowerCase().replace(/[\s_-]/g, '');
+
+// 미리보기 최대 행 수
+const PREVIEW_LIMIT = 200;
+
+/**
+ * 데이터 가져오기 대화창 (CSV/XLSX → 컬럼 매핑 → 검증 미리보기 → 가져오기)
+ * @param {boolean} isOpen - 모달 열림 여부
+ * @param {function} onClose - 닫기 핸들러
+ * @param {array} columns - 대상 그리드 컬럼 [{ field, headerName, type, valueOptions }]
+ * @param {function} onDataImport - 데이터 가져오기 핸들러 (importedData) => Promise (정상 행만 전달)
+ */
+const BlackImportModal = ({ isOpen, onClose, columns = [], onDataImport }) => {
+  const [step, setStep] = useState('file'); // 'file' | 'mapping' | 'preview'
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({}); // { 파일 헤더 인덱스: field }
+  const [isReading, setIsReading] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+  const [validatedRows, setValidatedRows] = useState([]);
+  const [isValidating, setIsValidating] = useState(false);
+
+  const targetColumns = useMemo(() => columns.filter(col => col.field && col.type !== 'actions'), [columns]);
+
+  // 파일 선택
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setIsReading(true);
+    try {
+      const result = await readSpreadsheetFile(file);
+      // field 또는 headerName이 같은 컬럼으로 자동 매핑
+      const autoMapping = {};
+      result.headers.forEach((header, index) => {
+        const key = normalizeName(header);
+        const col = targetColumns.find(c => normalizeName(c.field) === key)
+          || targetColumns.find(c => normalizeName(c.headerName) === key);
+        if (col && !Object.values(autoMapping).includes(col.field)) {
+          autoMapping[index] = col.field;
+        }
+      });
+      setFileName(file.name);
+      setHeaders(result.headers);
+      setRows(result.rows);
+      setMapping(autoMapping);
+      setStep('mapping');
+    } catch (err) {
+      console.error('파일 읽기 실패:', err);
+      alert('파일을 읽을 수 없습니다: ' + err.message);
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  const handleMappingChange = (index, field) => {
+    setMapping(prev => {
+      const next = { ...prev };
+      // 같은 필드를 두 헤더에 매핑하지 않도록
+      Object.keys(next).forEach(key => {
+        if (next[key] === field) delete next[key];
+      });
+      if (field) next[index] = field;
+      else delete next[index];
+      return next;
+    });
+  };
+
+  const mappedEntries = useMemo(() => Object.entries(mapping)
+    .map(([index, field]) => ({ index: Number(index), col: targetColumns.find(c => c.field === field) }))
+    .filter(entry => entry.col), [mapping, targetColumns]);
+
+  // 행별 검증 (타입 변환 + 셀 편집과 같은 검증 규칙 / validate 훅)
+  useEffect(() => {
+    if (step !== 'preview') {
+      setValidatedRows([]);
+      setIsValidating(false);
+      return;
+    }
+    let cancelled = false;
+
+    const validateRows = async () => {
+      setIsValidating(true);
+      const result = [];
+      for (const [rowIndex, row] of rows.entries()) {
+        const data = {};
+        const errors = {};
+        mappedEntries.forEach(({ index, col }) => {
+          const converted = convertByType(row[index], col);
+          data[col.field] = converted.valid ? converted.value : row[index];
+          if (!converted.valid) errors[col.field] = converted.error;
+        });
+        const ruleErrors = await Promise.all(mappedEntries.map(({ col }) =>
+          (errors[col.field] ? null : validateValue(data[col.field], col, data))));
+        mappedEntries.forEach(({ index, col }, i) => {
+          if (!ruleErrors[i]) return;
+          data[col.field] = row[index];
+          errors[col.field] = ruleErrors[i];
+        });
+        if (cancelled) return;
+        result.push({ rowIndex, source: row, data, errors, valid: Object.keys(errors).length === 0 });
+      }
+      setValidatedRows(result);
+      setIsValidating(false);
+    };
+    validateRows();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [step, rows, mappedEntries]);
+
+  const validCount = validatedRows.filter(r => r.valid).length;
+  const errorCount = validatedRows.length - validCount;
+  const previewRows = (showErrorsOnly ? validatedRows.filter(r => !r.valid) : validatedRows).slice(0, PREVIEW_LIMIT);
+
+  // 오류 리포트 다운로드 (원본 열 + 오류 내용)
+  const handleDownloadErrors = () => {
+    const rejected = validatedRows.filter(r => !r.valid);
+    exportTable({
+      format: 'csv',
+      fileName: `${fileName.replace(/\.[^.]+$/, '')}_오류`,
+      columns: [{ header: '행' }, ...headers.map(header => ({ header })), { header: '오류' }],
+      rows: rejected.map(r => [
+        r.rowIndex + 2, // 헤더 행 포함 원본 파일 행 번호
+        ...r.source,
+        Object.entries(r.errors)
+          .map(([field, error]) => `${targetColumns.find(c => c.field === field)?.headerName || field}: ${error.replace(/\n/g, ' ')}`)
+          .join(' / ')
+      ])
+    });
+  };
+
+  const handleImport = async () => {
+    const importedData = validatedRows.filter(r => r.valid).map(r => r.data);
+    if (importedData.length === 0) {
+      alert('가져올 수 있는 행이 없습니다.');
+      return;
+    }
+    if (errorCount > 0 && !confirm(`오류가 있는 ${errorCount}건은 제외하고 ${importedData.length}건을 가져오시겠습니까?`)) {
+      return;
+    }
+
+    setIsImporting(true);
+    try {
+      await onDataImport?.(importedData);
+      alert(`${importedData.length}건을 가져왔습니다.`);
+      handleClose();
+    } catch (err) {
+      console.error('데이터 가져오기 실패:', err);
+      alert('데이터 가져오기 실패: ' + err.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleClose = () => {
+    setStep('file');
+    setFileName('');
+    setHeaders([]);
+    setRows([]);
+    setMapping({});
+    setShowErrorsOnly(false);
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className={styles.modalOverlay} onClick={handleClose}>
+      <div className={styles.modalContent} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.modalHeader}>
+          <h2>데이터 가져오기{fileName && <span className={styles.fileName}>{fileName}</span>}</h2>
+          <button className={styles.closeButton} onClick={handleClose}>&times;</button>
+        </div>
+
+        {/* 단계 표시 */}
+        <div className={styles.steps}>
+          <span className={step === 'file' ? styles.activeStep : styles.step}>1. 파일 선택</span>
+          <span className={step === 'mapping' ? styles.activeStep : styles.step}>2. 컬럼 매핑</span>
+          <span className={step === 'preview' ? styles.activeStep : styles.step}>3. 미리보기</span>
+        </div>
+
+        {/* 파일 선택 */}
+        {step === 'file' && (
+          <div className={styles.modalBody}>
+            <label className={styles.fileDrop}>
+              <input type="file" accept=".csv,.tsv,.txt,.xlsx" onChange={handleFileChange} disabled={isReading} />
+              {isReading ? '파일을 읽는 중...' : 'CSV 또는 XLSX 파일을 선택하세요 (첫 행은 헤더)'}
+            </label>
+          </div>
+        )}
+
+        {/* 컬럼 매핑 */}
+        {step === 'mapping' && (
+          <div className={styles.modalBody}>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>파일 헤더</th>
+                  <th>예시 값</th>
+                  <th>그리드 컬럼</th>
+                </tr>
+              </thead>
+              <tbody>
+                {headers.map((header, index) => (
+                  <tr key={index}>
+                    <td>{header}</td>
+                    <td className={styles.sampleCell}>{rows.slice(0, 3).map(r => r[index]).filter(v => v !== '').join(', ')}</td>
+                    <td>
+                      <select value={mapping[index] || ''} onChange={(e) => handleMappingChange(index, e.target.value)} className={styles.select}>
+                        <option value="">(가져오지 않음)</option>
+                        {targetColumns.map(col => (
+                          <option key={col.field} value={col.field}>{col.headerName} ({col.field})</option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* 검증 미리보기 */}
+        {step === 'preview' && (
+          <>
+            <div className={styles.summary}>
+              <span>{isValidating ? '검증 중...' : `전체 ${validatedRows.length}건`}</span>
+              <span className={styles.validText}>정상 {validCount}건</span>
+              <span className={styles.errorText}>오류 {errorCount}건</span>
+              <label className={styles.checkboxLabel}>
+                <input type="checkbox" checked={showErrorsOnly} onChange={(e) => setShowErrorsOnly(e.target.checked)} />
+                오류 행만 보기
+              </label>
+              {errorCount > 0 && (
+                <button onClick={handleDownloadErrors} className={styles.secondaryButton}>오류 리포트 다운로드</button>
+              )}
+            </div>
+            <div className={styles.modalBody}>
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th className={styles.rowNumberCell}>행</th>
+                    {mappedEntries.map(({ col }) => <th key={col.field}>{col.headerName}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {previewRows.map(r => (
+                    <tr key={r.rowIndex} className={r.valid ? '' : styles.errorRow}>
+                      <td className={styles.rowNumberCell}>{r.rowIndex + 2}</td>
+                      {mappedEntries.map(({ col }) => (
+                        <td
+                          key={col.field}
+                          className={r.errors[col.field] ? styles.errorCell : ''}
+                          title={r.errors[col.field] || ''}
+                        >
+                          {String(r.data[col.field] ?? '')}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {validatedRows.length > PREVIEW_LIMIT && (
+                <div className={styles.moreText}>처음 {PREVIEW_LIMIT}건만 표시됩니다.</div>
+              )}
+            </div>
+          </>
+        )}
+
+        <div className={styles.modalFooter}>
+          {step === 'mapping' && (
+            <>
+              <button className={styles.cancelButton} onClick={() => setStep('file')}>이전</button>
+              <button className={styles.saveButton} onClick={() => setStep('preview')} disabled={mappedEntries.length === 0}>다음</button>
+            </>
+          )}
+          {step === 'preview' && (
+            <>
+              <button className={styles.cancelButton} onClick={() => setStep('mapping')}>이전</button>
+              <button className={styles.saveButton} onClick={handleImport} disabled={isImporting || isValidating || validCount === 0}>
+                {isImporting ? '가져오는 중...' : `가져오기 (${validCount}건)`}
+              </button>
+            </>
+          )}
+          <button className={styles.cancelButton} onClick={handleClose}>취소</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BlackImportModal;
@@ -0,0 +1,308 @@
+// 컬럼 설정 저장소 (col-def) - BlackGrid / BlackColumnModal이 같은 인터페이스로 사용
+//
+// 설정 형식 (config):
+//   { pageName, tableName, pageTitle, columns, formColumns, formWidth, showRowNumber, showCheckbox, sortModel }
+//
+// 저장소 인터페이스:
+// - load(pageName, tableName) => Promise<config | null>
+// - save(config) => Promise - 저장할 때마다 버전 생성 (config.note: 변경 메모, config.savedBy: 저장한 사람)
+// - listVersions(pageName) => Promise<[{ version, savedAt, savedBy, note }]> - 최신 버전부터
+// - loadVersion(pageName, version) => Promise<config | null>
+// - checkDbColumns(tableName, columnNames) => Promise<{ field: boolean }> - DB 테이블에 컬럼이 있는지
+// - addDbColumns(tableName, [{ field, type }]) => Promise<{ addedColumns: [field], failedColumns: [{ name, error }] }>
+// - deleteDbColumn(tableName, columnName) => Promise (실패 시 throw)
+// - listDbColumns(tableName) => Promise<[{ field, headerName, type }]>
+// - loadViews(pageName) / saveViews(pageName, { views, defaultViewId }) - 저장된 보기 (선택)
+//
+// 설정 내보내기 / 가져오기: serializeColumnConfig(config) → JSON 문서, parseColumnConfig(json) → 검증된 문서
+
+// 기본 API 클라이언트 (fetch 기반, BlackGrid 데이터 조회에도 사용)
+export const defaultApi = {
+  get: async (url) => {
+    const res = await fetch(url);
+    return res.json();
+  },
+  post: async (url, data) => {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+    return res.json();
+  },
+  delete: async (url) => {
+    const res = await fetch(url, { method: 'DELETE' });
+    return res.json();
+  }
+};
+
+// col-def 응답 → 설정 형식 (snake_case / camelCase 응답 모두 허용, 없는 값은 undefined)
+const fromColDefResponse = (result) => {
+  if (!result) return null;
+  return {
+    columns: result.columns,
+    formColumns: result.form_columns ?? result.formColumns,
+    formWidth: result.form_width ?? result.formWidth,
+    pageTitle: result.page_title ?? result.pageTitle,
+    showRowNumber: result.show_row_number ?? result.showRowNumber,
+    showCheckbox: result.show_checkbox ?? result.showCheckbox,
+    sortModel: result.sort_model ?? result.sortModel,
+  };
+};
+
+/**
+ * REST 저장소 (기본) - col-def API
+ * GET {url}?page_name=&table_name=, POST {url} (설정 저장 / check_columns / add_columns / get_all_columns),
+ * DELETE {url}?table_name=&column_name=, 저장된 보기는 {url}/views,
+ * 버전 이력은 GET {url}/versions?page_name= (목록), GET {url}/versions?page_name=&version= (설정)
+ * @param {object} api - { get, post, delete } 클라이언트 (기본 fetch)
+ * @param {string} url - col-def API 경로 (기본 '/api/col-def')
+ */
+export const createRestColumnStore = (api = defaultApi, url = '/api/col-def') => {
+  const withQuery = (path, params) => `${path}?${new URLSearchParams(params).toString()}`;
+
+  return {
+    load: async (pageName, tableName) =>
+      fromColDefResponse(await api.get(withQuery(url, { page_name: pageName, table_name: tableName }))),
+
+    save: (config) => api.post(url, {
+      page_name: config.pageName,
+      page_title: config.pageTitle,
+      columns: config.columns,
+      form_columns: config.formColumns,
+      form_width: config.formWidth,
+      show_row_number: config.showRowNumber,
+      show_checkbox: config.showCheckbox,
+      sort_model: config.sortModel,
+      note: config.note,
+      saved_by: config.savedBy
+    }),
+
+    listVersions: async (pageName) => {
+      const response = await api.get(withQuery(`${url}/versions`, { page_name: pageName }));
+      return (response.versions || []).map(v => ({
+        version: v.version,
+        savedAt: v.saved_at ?? v.savedAt,
+        savedBy: v.saved_by ?? v.savedBy,
+        note: v.note
+      }));
+    },
+
+    loadVersion: async (pageName, version) =>
+      fromColDefResponse(await api.get(withQuery(`${url}/versions`, { page_name: pageName, version }))),
+
+    checkDbColumns: async (tableName, columnNames) => {
+      const response = await api.post(url, { check_columns: columnNames, table_name: tableName });
+      return response.columns || {};
+    },
+
+    addDbColumns: (tableName, columns) => api.post(url, { add_columns: columns, table_name: tableName }),
+
+    deleteDbColumn: async (tableName, columnName) => {
+      const response = await api.delete(withQuery(url, { table_name: tableName, column_name: columnName }));
+      if (!response.success) throw new Error(response.message);
+      return response;
+    },
+
+    listDbColumns: async (tableName) => {
+      const response = await api.post(url, { check_columns: [], table_name: tableName, get_all_columns: true });
+      return response.allColumns || [];
+    },
+
+    loadViews: async (pageName) => {
+      const response = await api.get(withQuery(`${url}/views`, { page_name: pageName }));
+      return { views: response.views || [], defaultViewId: response.default_view_id ?? null };
+    },
+
+    saveViews: (pageName, { views, defaultViewId }) =>
+      api.post(`${url}/views`, { page_name: pageName, views, default_view_id: defaultViewId }),
+  };
+};
+
+// 키-값 저장소 기반 구현 (메모리 / localStorage 공용)
+// page:{pageName} - 설정, versions:{pageName} - 버전 이력, table:{tableName} - DB 컬럼 목록, views:{pageName} - 저장된 보기
+// maxVersions: 보관할 버전 이력 최대 개수 (없으면 모두 보관)
+const createKeyValueColumnStore = (read, write, maxVersions) => {
+  const readTable = (tableName) => read(`table:${tableName}`) || [];
+  const readVersions = (pageName) => read(`versions:${pageName}`) || [];
+
+  return {
+    load: async (pageName) => read(`page:${pageName}`),
+
+    save: async ({ note, savedBy, ...config }) => {
+      write(`page:${config.pageName}`, config);
+
+      const versions = readVersions(config.pageName);
+      const version = (versions[versions.length - 1]?.version || 0) + 1;
+      const nextVersions = [
+        ...versions,
+        { version, savedAt: new Date().toISOString(), savedBy: savedBy || null, note: note || '', config }
+      ];
+      write(`versions:${config.pageName}`, maxVersions > 0 ? nextVersions.slice(-maxVersions) : nextVersions);
+    },
+
+    listVersions: async (pageName) =>
+      readVersions(pageName).map(({ config, ...info }) => info).reverse(),
+
+    loadVersion: async (pageName, version) =>
+      readVersions(pageName).find(v => v.version === version)?.config || null,
+
+    checkDbColumns: async (tableName, columnNames) => {
+      const fields = new Set(readTable(tableName).map(col => col.field));
+      return Object.fromEntries(columnNames.map(name => [name, fields.has(name)]));
+    },
+
+    addDbColumns: async (tableName, columns) => {
+      const current = readTable(tableName);
+      const added = columns.filter(col => !current.some(c => c.field === col.field));
+      write(`table:${tableName}`, [...current, ...added.map(({ field, type }) => ({ field, type }))]);
+      return { addedColumns: added.map(col => col.field), failedColumns: [] };
+    },
+
+    deleteDbColumn: async (tableName, columnName) => {
+      write(`table:${tableName}`, readTable(tableName).filter(col => col.field !== columnName));
+      return { success: true };
+    },
+
+    listDbColumns: async (tableName) => readTable(tableName),
+
+    loadViews: async (pageName) => read(`views:${pageName}`) || { views: [], defaultViewId: null },
+
+    saveViews: async (pageName, data) => write(`views:${pageName}`, data),
+  };
+};
+
+/**
+ * 메모리 저장소 (Storybook / 테스트용, 새로고침하면 초기화)
+ * @param {object} pages - 초기 설정 { pageName: config }
+ * @param {object} tables - 초기 DB 컬럼 { tableName: [{ field, headerName, type }] }
+ * @param {number} maxVersions - 페이지별로 보관할 버전 이력 최대 개수 (기본: 모두 보관, 넘으면 오래된 버전부터 삭제)
+ */
+export const createMemoryColumnStore = ({ pages = {}, tables = {}, maxVersions } = {}) => {
+  const entries = new Map([
+    ...Object.entries(pages).map(([pageName, config]) => [`page:${pageName}`, config]),
+    ...Object.entries(tables).map(([tableName, cols]) => [`table:${tableName}`, cols]),
+  ]);
+  // 꺼낸 값을 호출한 쪽에서 바꿔도 저장된 값에 영향이 없도록 복사
+  const clone = (value) => (value == null ? null : JSON.parse(JSON.stringify(value)));
+  return createKeyValueColumnStore(
+    (key) => clone(entries.get(key)),
+    (key, value) => { entries.set(key, clone(value)); },
+    maxVersions
+  );
+};
+
+/**
+ * localStorage 저장소 (서버 없이 브라우저에 저장)
+ * @param {object} storage - getItem/setItem 어댑터 (기본 localStorage)
+ * @param {string} prefix - 저장 키 접두사 (기본 'blackgrid:col-def:')
+ * @param {number} maxVersions - 페이지별로 보관할 버전 이력 최대 개수 (기본: 모두 보관, 넘으면 오래된 버전부터 삭제)
+ */
+export const createLocalColumnStore = ({ storage, prefix = 'blackgrid:col-def:', maxVersions } = {}) => {
+  const getStorage = () => storage || (typeof window !== 'undefined' ? window.localStorage : null);
+  return createKeyValueColumnStore(
+    (key) => {
+      try {
+        const raw = getStorage()?.getItem(prefix + key);
+        return raw ? JSON.parse(raw) : null;
+      } catch {
+        return null;
+      }
+    },
+    (key, value) => {
+      getStorage()?.setItem(prefix + key, JSON.stringify(value));
+    },
+    maxVersions
+  );
+};
+
+// === 설정 내보내기 / 가져오기 (JSON 문서) ===
+// 문서 형식: { type: 'blackgrid-col-def', version, exportedAt, pageName, tableName, config }
+// (config는 pageName / tableName을 제외한 설정 형식)
+const CONFIG_DOCUMENT_TYPE = 'blackgrid-col-def';
+const CONFIG_DOCUMENT_VERSION = 1;
+
+/**
+ * 컬럼 설정 → 내보내기 문서 (JSON 직렬화 가능한 값만 남김)
+ * @param {object} config - 설정 형식 (pageName, tableName 포함)
+ * @returns {object} 내보내기 문서
+ */
+export const serializeColumnConfig = ({ pageName, tableName, note, savedBy, ...config }) => ({
+  type: CONFIG_DOCUMENT_TYPE,
+  version: CONFIG_DOCUMENT_VERSION,
+  exportedAt: new Date().toISOString(),
+  pageName: pageName || null,
+  tableName: tableName || null,
+  config: JSON.parse(JSON.stringify({
+    pageTitle: config.pageTitle || '',
+    columns: config.columns || [],
+    formColumns: config.formColumns || null,
+    formWidth: config.formWidth || 500,
+    showRowNumber: !!config.showRowNumber,
+    showCheckbox: !!config.showCheckbox,
+    sortModel: config.sortModel || []
+  }))
+});
+
+// 컬럼 목록 검사 (field 필수, 중복 불가)
+const validateColumnList = (list, label, errors) => {
+  if (!Array.isArray(list)) {
+    errors.push(`${label}은(는) 배열이어야 합니다.`);
+    return;
+  }
+  const fields = new Set();
+  list.forEach((col, index) => {
+    if (!col || typeof col !== 'object' || typeof col.field !== 'string' || !col.field) {
+      errors.push(`${label} ${index + 1}번째 항목에 field가 없습니다.`);
+    } else if (fields.has(col.field)) {
+      errors.push(`${label}에 field '${col.field}'가 중복되었습니다.`);
+    } else {
+      fields.add(col.field);
+    }
+  });
+};
+
+/**
+ * 내보내기 문서 해석 및 검증
+ * @param {string|object} source - JSON 문자열 또는 문서 객체
+ * @returns {{ document: object|null, errors: string[] }} 오류가 없을 때만 document 반환
+ */
+export const parseColumnConfig = (source) => {
+  let doc = source;
+  if (typeof source === 'string') {
+    try {
+      doc = JSON.parse(source);
+    } catch (e) {
+      return { document: null, errors: [`JSON 형식이 올바르지 않습니다: ${e.message}`] };
+    }
+  }
+
+  const errors = [];
+  if (!doc || typeof doc !== 'object' || doc.type !== CONFIG_DOCUMENT_TYPE) {
+    return { document: null, errors: ['컬럼 설정 내보내기 파일이 아닙니다.'] };
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1 || doc.version > CONFIG_DOCUMENT_VERSION) {
+    return { document: null, errors: [`지원하지 않는 버전입니다: ${doc.version}`] };
+  }
+
+  const config = doc.config;
+  if (!config || typeof config !== 'object') {
+    return { document: null, errors: ['config가 없습니다.'] };
+  }
+  validateColumnList(config.columns, '컬럼', errors);
+  if (Array.isArray(config.columns) && config.columns.length === 0) errors.push('컬럼이 비어 있습니다.');
+  if (config.formColumns != null) validateColumnList(config.formColumns, '입력폼 컬럼', errors);
+  if (config.pageTitle != null && typeof config.pageTitle !== 'string') errors.push('pageTitle은 문자열이어야 합니다.');
+  if (config.formWidth != null && !(typeof config.formWidth === 'number' && config.formWidth > 0)) {
+    errors.push('formWidth는 0보다 큰 숫자여야 합니다.');
+  }
+  ['showRowNumber', 'showCheckbox'].forEach(key => {
+    if (config[key] != null && typeof config[key] !== 'boolean') errors.push(`${key}는 true/false여야 합니다.`);
+  });
+  if (config.sortModel != null && !(Array.isArray(config.sortModel)
+    && config.sortModel.every(item => item && typeof item.field === 'string' && ['asc', 'desc'].includes(item.sort)))) {
+    errors.push('sortModel은 [{ field, sort: asc | desc }] 형식이어야 합니다.');
+  }
+
+  return errors.length > 0 ? { document: null, errors } : { document: doc, errors };
+};
@@ -0,0 +1,243 @@
+// 그리드 내보내기 (CSV / XLSX) - 브라우저에서 직접 파일 생성
+
+// CSV 값 이스케이프 (쉼표, 따옴표, 줄바꿈 포함 시 따옴표로 감쌈)
+const escapeCsv = (value) => {
+  if (value == null) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * CSV 문자열 생성
+ * @param {array} headers - 헤더명 배열
+ * @param {array} rows - 행 배열 (각 행은 값 배열)
+ */
+export const toCsv = (headers, rows) => [headers, ...rows]
+  .map(row => row.map(escapeCsv).join(','))
+  .join('\r\n');
+
+/**
+ * TSV 문자열 생성 (클립보드 복사용, 엑셀 붙여넣기 형식)
+ * @param {array} rows - 행 배열 (각 행은 값 배열)
+ */
+export const toTsv = (rows) => rows
+  .map(row => row.map(value => {
+    if (value == null) return '';
+    const str = String(value);
+    return /[\t"\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }).join('\t'))
+  .join('\r\n');
+
+// XML 이스케이프 (XML에 허용되지 않는 제어 문자 제거)
+const escapeXml = (value) => String(value)
+  // eslint-disable-next-line no-control-regex
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// 0 → A, 25 → Z, 26 → AA
+const columnLetter = (index) => {
+  let letter = '';
+  let n = index + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letter = String.fromCharCode(65 + rem) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+};
+
+// 셀 XML (숫자는 숫자 셀, 나머지는 인라인 문자열)
+const cellXml = (value, ref, style = 0) => {
+  const s = style ? ` s="${style}"` : '';
+  if (value == null || value === '') return `<c r="${ref}"${s}/>`;
+  if (typeof value === 'number' && isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+// CRC32 (ZIP 무결성 검사값)
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  }
+  return (c ^ 0xFFFFFFFF) >>> 0;
+};
+
+// 무압축(STORE) ZIP 생성 - files: [{ name, content }]
+const createZip = (files) => {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 파일명
+    local.setUint16(8, 0, true); // STORE
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], {
+    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  });
+};
+
+/**
+ * XLSX Blob 생성 (단일 시트, 헤더 굵게)
+ * @param {array} columns - [{ header, width }] (width: px)
+ * @param {array} rows - 행 배열 (각 행은 값 배열, 숫자는 숫자 셀로 저장)
+ * @param {string} sheetName - 시트 이름
+ */
+export const toXlsx = (columns, rows, sheetName = 'Sheet1') => {
+  const colsXml = columns
+    .map((col, i) => `<col min="${i + 1}" max="${i + 1}" width="${Math.max(8, Math.round((col.width || 100) / 7))}" customWidth="1"/>`)
+    .join('');
+  const headerXml = `<row r="1">${columns.map((col, i) => cellXml(col.header, `${columnLetter(i)}1`, 1)).join('')}</row>`;
+  const rowsXml = rows
+    .map((row, r) => `<row r="${r + 2}">${row.map((value, i) => cellXml(value, `${columnLetter(i)}${r + 2}`)).join('')}</row>`)
+    .join('');
+
+  // 시트 이름: 31자 제한, []:*?/\ 사용 불가
+  const safeSheetName = escapeXml(String(sheetName).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet1');
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/styles.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + '</styleSheet>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + `<cols>${colsXml}</cols>`
+        + `<sheetData>${headerXml}${rowsXml}</sheetData>`
+        + '</worksheet>'
+    },
+  ]);
+};
+
+// Blob 파일 다운로드
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * 표 데이터를 파일로 내보내기
+ * @param {string} format - 'csv' | 'xlsx'
+ * @param {array} columns - [{ header, width }]
+ * @param {array} rows - 행 배열 (각 행은 값 배열)
+ * @param {string} fileName - 확장자 제외 파일명
+ */
+export const exportTable = ({ format = 'csv', columns, rows, fileName = 'export' }) => {
+  if (format === 'xlsx') {
+    downloadBlob(toXlsx(columns, rows, fileName), `${fileName}.xlsx`);
+    return;
+  }
+  // BOM: 엑셀에서 한글이 깨지지 않도록
+  const csv = toCsv(columns.map(col => col.header), rows);
+  downloadBlob(new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' }), `${fileName}.csv`);
+};
@@ -0,0 +1,201 @@
+// 그리드 가져오기 (CSV / XLSX 파일 읽기) - 브라우저에서 직접 해석
+
+// 텍스트 디코딩 (UTF-8이 아니면 엑셀 기본 CSV 인코딩인 EUC-KR로)
+const decodeText = (buffer) => {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return new TextDecoder('euc-kr').decode(buffer);
+  }
+};
+
+// 구분자 텍스트 해석 (따옴표 안의 구분자/줄바꿈 지원)
+const parseDelimited = (source, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * CSV/TSV 문자열 해석 (따옴표 안의 쉼표/줄바꿈 지원, 구분자 자동 판별)
+ * @returns {array} 행 배열 (각 행은 문자열 배열)
+ */
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0] || '';
+  const delimiter = [',', '\t', ';']
+    .map(d => ({ d, count: firstLine.split(d).length }))
+    .sort((a, b) => b.count - a.count)[0].d;
+  // 빈 줄 제거
+  return parseDelimited(source, delimiter).filter(r => r.some(v => v.trim() !== ''));
+};
+
+/**
+ * 클립보드 TSV 해석 (엑셀 복사 형식, 빈 행 유지)
+ * @returns {array} 행 배열 (각 행은 문자열 배열)
+ */
+export const parseTsv = (text) => parseDelimited(text, '\t');
+
+// deflate 압축 해제 (브라우저 DecompressionStream)
+const inflateRaw = async (bytes) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('이 브라우저는 XLSX 가져오기를 지원하지 않습니다. CSV 파일을 사용하세요.');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// ZIP 파일 목록 읽기 → { 파일명: () => Promise<string> }
+const readZip = (buffer) => {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const decoder = new TextDecoder('utf-8');
+
+  // 끝에서부터 중앙 디렉터리 종료 레코드 탐색
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('올바른 XLSX 파일이 아닙니다.');
+
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const entries = {};
+
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) break;
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    entries[name] = async () => {
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = bytes.subarray(dataStart, dataStart + compressedSize);
+      return decoder.decode(method === 8 ? await inflateRaw(data) : data);
+    };
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+// A1 참조의 열 번호 (A → 0)
+const columnIndex = (ref) => {
+  const letters = ref.replace(/\d+/g, '');
+  let index = 0;
+  for (let i = 0; i < letters.length; i++) {
+    index = index * 26 + (letters.charCodeAt(i) - 64);
+  }
+  return index - 1;
+};
+
+// 네임스페이스와 무관하게 태그 조회
+const byTag = (node, tag) => Array.from(node.getElementsByTagNameNS('*', tag));
+
+/**
+ * XLSX 첫 번째 시트 해석
+ * @returns {Promise<array>} 행 배열 (숫자 셀은 숫자, 나머지는 문자열)
+ */
+export const parseXlsx = async (buffer) => {
+  const entries = readZip(buffer);
+  const parser = new DOMParser();
+  const parseXml = async (name) => (entries[name] ? parser.parseFromString(await entries[name](), 'application/xml') : null);
+
+  // 공유 문자열
+  const sharedDoc = await parseXml('xl/sharedStrings.xml');
+  const sharedStrings = sharedDoc
+    ? byTag(sharedDoc, 'si').map(si => byTag(si, 't').map(t => t.textContent).join(''))
+    : [];
+
+  // 첫 번째 시트 경로 (workbook 관계에서 찾고, 없으면 sheet1)
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  const workbookDoc = await parseXml('xl/workbook.xml');
+  const relsDoc = await parseXml('xl/_rels/workbook.xml.rels');
+  const firstSheet = workbookDoc && byTag(workbookDoc, 'sheet')[0];
+  if (firstSheet && relsDoc) {
+    const relId = firstSheet.getAttribute('r:id')
+      || firstSheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id');
+    const rel = byTag(relsDoc, 'Relationship').find(r => r.getAttribute('Id') === relId);
+    if (rel) {
+      const target = rel.getAttribute('Target');
+      sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    }
+  }
+
+  const sheetDoc = await parseXml(sheetPath);
+  if (!sheetDoc) throw new Error('시트를 찾을 수 없습니다.');
+
+  const rows = byTag(sheetDoc, 'row').map(rowNode => {
+    const row = [];
+    byTag(rowNode, 'c').forEach((cell, i) => {
+      const ref = cell.getAttribute('r');
+      const index = ref ? columnIndex(ref) : i;
+      const type = cell.getAttribute('t');
+      const v = byTag(cell, 'v')[0]?.textContent;
+      let value = '';
+      if (type === 's') value = sharedStrings[Number(v)] ?? '';
+      else if (type === 'inlineStr') value = byTag(cell, 't').map(t => t.textContent).join('');
+      else if (type === 'b') value = v === '1' ? 'TRUE' : 'FALSE';
+      else if (type === 'str' || type === 'e') value = v ?? '';
+      else if (v != null && v !== '') value = Number(v);
+      row[index] = value;
+    });
+    return Array.from(row, v => v ?? '');
+  });
+  return rows.filter(r => r.some(v => String(v).trim() !== ''));
+};
+
+/**
+ * 파일 읽기 (확장자로 CSV/XLSX 판별)
+ * @returns {Promise<{ headers: array, rows: array }>} 첫 행은 헤더
+ */
+export const readSpreadsheetFile = async (file) => {
+  const buffer = await file.arrayBuffer();
+  const isXlsx = /\.xlsx$/i.test(file.name);
+  const table = isXlsx ? await parseXlsx(buffer) : parseCsv(decodeText(buffer));
+  if (table.length === 0) throw new Error('파일에 데이터가 없습니다.');
+  const [headerRow, ...rows] = table;
+  const headers = headerRow.map((h, i) => String(h).trim() || `열${i + 1}`);
+  return { headers, rows: rows.map(r => headers.map((_, i) => r[i] ?? '')) };
+};
@@ -0,0 +1,325 @@
+// 그리드 공통 유틸 (포맷, 입력 검사/변환, 집계)
+
+export const NUMBER_TYPES = ['number', 'currency', 'integer', 'float'];
+export const DATE_TYPES = ['date', 'datetime'];
+
+// 날짜 포맷 (YYYY-MM-DD)
+export const formatDate = (value) => {
+  if (!value) return '';
+  try {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return value;
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  } catch {
+    return value;
+  }
+};
+
+// 날짜 입력 검사 및 변환 (YYYY-MM-DD 또는 MM-DD 허용)
+export const validateAndConvertDate = (value) => {
+  if (!value || value.trim() === '') return { valid: true, value: '' };
+  const trimmed = value.trim();
+
+  // YYYY-MM-DD 형식
+  const fullMatch = trimmed.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (fullMatch) {
+    const [, year, month, day] = fullMatch;
+    const m = month.padStart(2, '0');
+    const d = day.padStart(2, '0');
+    if (parseInt(m) >= 1 && parseInt(m) <= 12 && parseInt(d) >= 1 && parseInt(d) <= 31) {
+      return { valid: true, value: `${year}-${m}-${d}` };
+    }
+  }
+
+  // MM-DD 형식 (현재 연도 사용)
+  const shortMatch = trimmed.match(/^(\d{1,2})-(\d{1,2})$/);
+  if (shortMatch) {
+    const [, month, day] = shortMatch;
+    const m = month.padStart(2, '0');
+    const d = day.padStart(2, '0');
+    if (parseInt(m) >= 1 && parseInt(m) <= 12 && parseInt(d) >= 1 && parseInt(d) <= 31) {
+      const year = new Date().getFullYear();
+      return { valid: true, value: `${year}-${m}-${d}` };
+    }
+  }
+
+  return { valid: false, value: trimmed };
+};
+
+// 숫자 입력 검사
+export const validateNumber = (value) => {
+  // null, undefined, 빈 문자열 처리
+  if (value == null || value === '') return { valid: true, value: '' };
+  // 숫자 타입인 경우 바로 반환
+  if (typeof value === 'number') return { valid: true, value: value };
+  // 문자열로 변환
+  const str = String(value).trim();
+  if (str === '') return { valid: true, value: '' };
+  const trimmed = str.replace(/,/g, '');
+  const num = parseFloat(trimmed);
+  if (isNaN(num)) return { valid: false, value: trimmed };
+  return { valid: true, value: num };
+};
+
+// 타입별 포맷팅
+export const formatByType = (value, type) => {
+  if (value == null || value === '') return '';
+  switch (type) {
+    case 'date':
+    case 'datetime':
+      return formatDate(value);
+    case 'number':
+    case 'currency':
+    case 'integer':
+    case 'float': {
+      const num = Number(value);
+      // 소수점 이하가 없으면 정수로 표시
+      if (Number.isInteger(num)) {
+        return num.toLocaleString('ko-KR', { maximumFractionDigits: 0 });
+      }
+      return num.toLocaleString('ko-KR', { maximumFractionDigits: 2 });
+    }
+    default:
+      return value;
+  }
+};
+
+// valueOptions를 { value, label } 형태로
+export const normalizeOptions = (options = []) => options.map(opt => (
+  typeof opt === 'object' ? { value: opt.value, label: opt.label ?? String(opt.value) } : { value: opt, label: String(opt) }
+));
+
+// 엑셀 날짜 일련번호 → YYYY-MM-DD (1900 날짜 체계)
+const excelSerialToDate = (serial) => {
+  const date = new Date(Math.round((serial - 25569) * 86400000));
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}-${String(date.getUTCDate()).padStart(2, '0')}`;
+};
+
+/**
+ * 컬럼 타입에 맞게 값 검사 및 변환 (붙여넣기, 가져오기 등 외부 입력용)
+ * @returns {{ valid: boolean, value: any, error?: string }}
+ */
+export const convertByType = (value, col) => {
+  if (DATE_TYPES.includes(col.type)) {
+    if (typeof value === 'number') return { valid: true, value: excelSerialToDate(value) };
+    const result = validateAndConvertDate(value == null ? '' : String(value));
+    return result.valid ? result : { ...result, error: '날짜 형식이 올바르지 않습니다.\n허용 형식: YYYY-MM-DD 또는 MM-DD' };
+  }
+  if (NUMBER_TYPES.includes(col.type)) {
+    const result = validateNumber(value);
+    return result.valid ? result : { ...result, error: '숫자 형식이 올바르지 않습니다.' };
+  }
+  if (col.type === 'singleSelect' && col.valueOptions) {
+    if (value == null || String(value).trim() === '') return { valid: true, value: '' };
+    const str = String(value).trim();
+    // 값 또는 라벨로 일치하는 항목
+    const option = normalizeOptions(col.valueOptions).find(opt => String(opt.value) === str || opt.label === str);
+    return option ? { valid: true, value: option.value } : { valid: false, value: str, error: '선택 목록에 없는 값입니다.' };
+  }
+  return { valid: true, value: value == null ? '' : value };
+};
+
+const isEmptyValue = (value) => value == null || String(value).trim() === '';
+
+/**
+ * 컬럼 기본 검증 규칙 (required, min, max, maxLength, pattern)
+ * - min/max: 숫자형은 숫자, 날짜형은 'YYYY-MM-DD' 문자열로 비교
+ * - pattern: RegExp 또는 문자열, 오류 메시지는 patternMessage (g/y 플래그는 무시 - 호출 간 lastIndex 유지 방지)
+ *   문자열 pattern이 잘못된 정규식이면 throw (validateValue는 오류 메시지로 반환)
+ * @returns {string|null} 오류 메시지 (통과 시 null)
+ */
+export const validateRules = (value, col) => {
+  const label = col.headerName || col.field;
+  if (isEmptyValue(value)) {
+    return col.required ? `${label}을(를) 입력해주세요.` : null;
+  }
+
+  if (col.min != null || col.max != null) {
+    if (NUMBER_TYPES.includes(col.type)) {
+      const num = Number(String(value).replace(/,/g, ''));
+      if (col.min != null && num < Number(col.min)) return `${label}은(는) ${col.min} 이상이어야 합니다.`;
+      if (col.max != null && num > Number(col.max)) return `${label}은(는) ${col.max} 이하여야 합니다.`;
+    } else if (DATE_TYPES.includes(col.type)) {
+      const date = String(value).slice(0, 10);
+      if (col.min != null && date < col.min) return `${label}은(는) ${col.min} 이후여야 합니다.`;
+      if (col.max != null && date > col.max) return `${label}은(는) ${col.max} 이전이어야 합니다.`;
+    }
+  }
+
+  if (col.maxLength != null && String(value).length > col.maxLength) {
+    return `${label}은(는) ${col.maxLength}자 이하로 입력해주세요.`;
+  }
+
+  if (col.pattern) {
+    const flags = col.pattern instanceof RegExp ? col.pattern.flags.replace(/[gy]/g, '') : '';
+    const regex = new RegExp(col.pattern, flags);
+    if (!regex.test(String(value))) return col.patternMessage || `${label} 형식이 올바르지 않습니다.`;
+  }
+  return null;
+};
+
+/**
+ * 컬럼 검증 (기본 규칙 + validate(value, row) 훅)
+ * - validate는 오류 메시지 문자열(또는 false)을 반환하거나 Promise로 반환, 통과 시 true/null/undefined
+ * @returns {Promise<string|null>} 오류 메시지 (통과 시 null)
+ */
+export const validateValue = async (value, col, row) => {
+  try {
+    const ruleError = validateRules(value, col);
+    if (ruleError) return ruleError;
+    if (!col.validate) return null;
+    const result = await col.validate(value, row);
+    if (result === false) return `${col.headerName || col.field} 값이 올바르지 않습니다.`;
+    return typeof result === 'string' && result ? result : null;
+  } catch (err) {
+    return err?.message || String(err);
+  }
+};
+
+// 집계 함수 이름
+export const AGGREGATE_LABELS = { sum: '합계', avg: '평균', min: '최소', max: '최대', count: '개수' };
+
+/**
+ * 컬럼 값 집계 (빈 값 제외)
+ * - aggregate: 'sum' | 'avg' | 'min' | 'max' | 'count' | (values, rows) => 값
+ * - min/max: 날짜형은 날짜 문자열, 그 외는 숫자로 비교
+ * @returns {*} 집계 값 (대상 값이 없으면 null, count는 0)
+ */
+export const aggregateValues = (aggregate, values, rows, col = {}) => {
+  if (typeof aggregate === 'function') return aggregate(values, rows);
+  const present = values.filter(v => !isEmptyValue(v));
+  if (aggregate === 'count') return present.length;
+
+  if (DATE_TYPES.includes(col.type) && (aggregate === 'min' || aggregate === 'max')) {
+    const dates = present.map(formatDate).filter(Boolean).sort();
+    if (dates.length === 0) return null;
+    return aggregate === 'min' ? dates[0] : dates[dates.length - 1];
+  }
+
+  const nums = present.map(v => (typeof v === 'number' ? v : Number(String(v).replace(/,/g, '')))).filter(Number.isFinite);
+  if (nums.length === 0) return null;
+  switch (aggregate) {
+    case 'sum': return nums.reduce((sum, n) => sum + n, 0);
+    case 'avg': return nums.reduce((sum, n) => sum + n, 0) / nums.length;
+    case 'min': return nums.reduce((min, n) => (n < min ? n : min));
+    case 'max': return nums.reduce((max, n) => (n > max ? n : max));
+    default: return null;
+  }
+};
+
+// 기본 로컬 저장소 (브라우저 localStorage, 사용할 수 없으면 null)
+const getDefaultStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * 로컬 그리드 상태 읽기 (pageName 없이 storageKey로 저장한 너비 등)
+ * @param {object} storage - getItem/setItem 어댑터 (기본 localStorage)
+ * @returns {object|null}
+ */
+export const loadLocalState = (key, storage = getDefaultStorage()) => {
+  try {
+    const raw = storage?.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * 로컬 그리드 상태 저장 (기존 값에 병합)
+ * @param {object} storage - getItem/setItem 어댑터 (기본 localStorage)
+ */
+export const saveLocalState = (key, patch, storage = getDefaultStorage()) => {
+  try {
+    storage?.setItem(key, JSON.stringify({ ...loadLocalState(key, storage), ...patch }));
+  } catch (e) {
+    console.error('그리드 설정 저장 실패:', e);
+  }
+};
+
+// URL 쿼리 파라미터 이름 (접두사가 있으면 '접두사_이름' - 한 페이지의 여러 그리드 구분)
+const urlParamName = (prefix, name) => (prefix ? `${prefix}_${name}` : name);
+
+// JSON 쿼리 값 해석 (잘못된 값은 무시)
+const parseUrlJson = (value) => {
+  try {
+    return value ? JSON.parse(value) : undefined;
+  } catch {
+    return undefined;
+  }
+};
+
+// 공유 링크 등 외부 값이므로 형식이 맞는 항목만 사용
+const isUrlFilterItem = (item) => Boolean(item) && typeof item === 'object'
+  && typeof item.field === 'string' && item.field !== '' && typeof item.operator === 'string';
+
+/**
+ * URL 쿼리 문자열에서 그리드 상태 읽기
+ * 파라미터: q(검색어), filters(빠른 필터 JSON), filter(필터 모델 JSON), sort(field:asc,...), page
+ * (형식이 맞지 않는 빠른 필터 값 / 필터 조건은 무시)
+ * @param {string} search - location.search
+ * @param {string} prefix - 파라미터 접두사
+ * @returns {object|null} 있는 값만 담은 { filterValues, filterModel, searchTerm, sortModel, page } (하나도 없으면 null)
+ */
+export const readGridUrlState = (search, prefix = '') => {
+  const params = new URLSearchParams(search);
+  const get = (name) => params.get(urlParamName(prefix, name));
+  const state = {};
+
+  const searchTerm = get('q');
+  if (searchTerm) state.searchTerm = searchTerm;
+  const filterValues = parseUrlJson(get('filters'));
+  if (filterValues && typeof filterValues === 'object' && !Array.isArray(filterValues)) {
+    state.filterValues = Object.fromEntries(Object.entries(filterValues)
+      .filter(([, value]) => typeof value === 'string' || typeof value === 'number'));
+  }
+  const filterModel = parseUrlJson(get('filter'));
+  if (Array.isArray(filterModel?.items)) {
+    state.filterModel = {
+      items: filterModel.items.filter(isUrlFilterItem).map((item, index) => ({ ...item, id: item.id ?? `url-${index}` })),
+      logicOperator: filterModel.logicOperator === 'or' ? 'or' : 'and'
+    };
+  }
+  const sort = get('sort');
+  if (sort) {
+    state.sortModel = sort.split(',')
+      .map(item => item.split(':'))
+      .filter(([field]) => field)
+      .map(([field, dir]) => ({ field, sort: dir === 'desc' ? 'desc' : 'asc' }));
+  }
+  const page = parseInt(get('page'), 10);
+  if (page > 1) state.page = page;
+
+  return Object.keys(state).length > 0 ? state : null;
+};
+
+/**
+ * 그리드 상태를 URL 쿼리 문자열에 반영 (다른 파라미터는 유지, 기본값은 제거)
+ * @param {string} search - location.search
+ * @param {object} state - { filterValues, filterModel, searchTerm, sortModel, page }
+ * @param {string} prefix - 파라미터 접두사
+ * @returns {string} '?...' 또는 ''
+ */
+export const writeGridUrlState = (search, state, prefix = '') => {
+  const params = new URLSearchParams(search);
+  const set = (name, value) => {
+    if (value) params.set(urlParamName(prefix, name), value);
+    else params.delete(urlParamName(prefix, name));
+  };
+
+  const filterValues = Object.fromEntries(Object.entries(state.filterValues || {}).filter(([, v]) => v));
+  const filterItems = state.filterModel?.items || [];
+  set('q', state.searchTerm);
+  set('filters', Object.keys(filterValues).length > 0 ? JSON.stringify(filterValues) : '');
+  set('filter', filterItems.length > 0 ? JSON.stringify({ items: filterItems, logicOperator: state.filterModel.logicOperator || 'and' }) : '');
+  set('sort', (state.sortModel || []).map(s => `${s.field}:${s.sort}`).join(','));
+  set('page', state.page > 1 ? String(state.page) : '');
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
@@ -4,3 +4,12 @@ export { BlueButton } from './bluebutton.js';
 export { default as BlackGrid } from './BlackGrid.js';
 export { default as BlackColumnModal } from './BlackColumnModal.js';
 export { default as BlackForm } from './BlackForm.js';
+
+// 컬럼 설정 저장소
+export {
+  createRestColumnStore,
+  createLocalColumnStore,
+  createMemoryColumnStore,
+  serializeColumnConfig,
+  parseColumnConfig
+} from './columnStore.js';